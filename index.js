@@ -1,23 +1,36 @@
 var fs = require('fs'),
-	util = require('util'),
-	info = require('./package.json'),
 	async = require('async'),
-	sql = require('sql');
-
-var supportedDialects = {
-	mysql: 1,
-	pg: 1,
-	mssql: 1
-};
+	introspect = require('./lib/introspect'),
+	render = require('./lib/render'),
+	jsonSchema = require('./lib/json-schema'),
+	naming = require('./lib/naming'),
+	overrides = require('./lib/overrides'),
+	columns = require('./lib/columns'),
+	snapshot = require('./lib/snapshot'),
+	ddl = require('./lib/ddl'),
+	directory = require('./lib/directory'),
+	check = require('./lib/check'),
+	diff = require('./lib/diff');
 
 /**
  * @param {Object} options
- * @param {String} options.dialect Either "mysql", "pg" or "mssql"
- * @param {String} options.dsn The DSN to use to connect to the database
- * @param {String} options.schema The name of the schema/database to extract from
+ * @param {String} options.dialect Either "mysql", "pg", "mssql" or "sqlite"
+ * @param {String} options.dsn The DSN to use to connect to the database (the path to the database file for sqlite)
+ * @param {Object} [options.client] A connected client or pool to introspect instead of connecting to options.dsn,
+ * which is left open (options.dialect is required), see introspect()
+ * @param {String|String[]} options.schema The name of the schema/database to extract from, or a comma-delimited
+ * list of schemas (pg and mssql only) whose tables are exported in an object per schema (e.g. exports.billing.invoice)
+ * @param {Boolean} [options.allSchemas] Extract all schemas except the system catalogs, like a list of schemas
+ * @param {RegExp[]} [options.includeColumns] Only generate columns whose name or "table.column" matches one of these
+ * @param {RegExp[]} [options.excludeColumns] Leave out columns whose name or "table.column" matches any of these
  * @param {String} [options.indent] String to use for indentation of generated code, defaults to "\t"
  * @param {String|Number} [options.outputFile] Filename to write to, or the number 1 to write to stdout
+ * @param {String} [options.outputDir] Write one module per table and an index.js re-exporting them to this
+ * directory instead of options.outputFile; previously generated modules of dropped tables are removed
  * @param {Boolean} [options.camelize] Convert underscored names to camel case ("foo_bar" -> "fooBar")
+ * @param {Object} [options.naming] Strategies for export names and column properties: { table, column, stripPrefix },
+ * each strategy is a function, the name of a built-in strategy ("preserve", "camelize", "camel", "pascal", "snake",
+ * "singular") or an array of them applied in order
  * @param {String} [options.eol] End-of-line character, defaults to "\n"
  * @param {String} [options.mode] The permission mode of the output file, defaults to 0644
  * @param {String} [options.encoding] The encoding of the output file, defaults to "utf8"
@@ -26,84 +39,64 @@ var supportedDialects = {
  * @param {String} [options.omitComments] Omit autogenerated comments
  * @param {String} [options.includeSchema] Include schema in definition
  * @param {String} [options.modularize] Omit require('sql') and wrap generated code in module.exports = function() {...}
+ * (export default function() {...} for ES modules)
+ * @param {String} [options.moduleFormat] Either "cjs", "esm" or "factory" (same as "cjs" with options.modularize), defaults to "cjs"
  * @param {Boolean} [options.includeMeta] Add metadata to column definitions (not used by node-sql)
+ * @param {Boolean} [options.enumConstants] Also export a frozen object holding the values of each enum, e.g. MoodEnum
+ * @param {Boolean} [options.validators] Add a validate(row) function to each table, see render()
+ * @param {String} [options.format] Either "js" or "json-schema" (a JSON schema of the rows of each table instead of
+ * node-sql definitions, see renderJsonSchema()), defaults to "js"
+ * @param {String|Object} [options.overrides] Overrides (or the JSON or JS file holding them) keyed by "table" or
+ * "table.column", renaming exports and properties, excluding or changing tables and columns, see overrides.apply()
+ * @param {String|Object} [options.template] Module (or the path to it) exporting header, table and/or footer
+ * functions that replace parts of the generated code, see render()
+ * @param {String} [options.saveSnapshot] Also save the introspected model to this JSON file
+ * @param {String} [options.fromSnapshot] Generate from a model saved with options.saveSnapshot instead of
+ * connecting to a database (options.dsn and options.dialect are not needed)
+ * @param {String} [options.fromDdl] Generate from the CREATE TABLE and ALTER TABLE statements in this SQL file
+ * instead of connecting to a database (options.dialect is required, options.dsn is not needed)
+ * @param {Boolean} [options.check] Do not write anything, but compare the generated code to the existing
+ * options.outputFile (and its declarations) or options.outputDir ignoring the autogenerated comment; the differences
+ * are available as stats.drift (empty if everything is up to date) and can be formatted with generate.formatDrift()
+ * @param {Boolean} [options.declarations] Generate TypeScript declarations, written next to options.outputFile
+ * (e.g. "tables.d.ts" for "tables.js") and available as stats.declarations
  * @param {function} [options.log] Logging function
- * @param {Function} [callback]
+ * @param {Function} [callback] Receives an error or the stats
+ * @return {Promise|undefined} Resolves with the stats if no callback is given
  */
-module.exports = function(options, callback) {
+function generate(options, callback) {
+	if (!callback) {
+		return new Promise(function(resolve, reject) {
+			generate(options, function(err, stats) {
+				if (err) {
+					reject(err);
+					return;
+				}
+
+				resolve(stats);
+			});
+		});
+	}
+
 	options = options || {};
 
-	if (!options.dsn) {
-		callback && callback(new Error('options.dsn is required'));
+	try {
+		render.normalizeOptions(options);
+	} catch (e) {
+		callback(e);
 		return;
 	}
-	if (!options.dialect) {
-		var match = /^(mysql|postgres|mssql)/i.exec(options.dsn);
-		if (!match) {
-			callback && callback(new Error('options.dialect is required'));
-			return;
-		}
-		options.dialect = match[1].toLowerCase();
-		if (options.dialect === 'postgres') {
-			options.dialect = 'pg';
-		}
-	}
-
-	options.dialect = options.dialect.toLowerCase();
 
-	if (!supportedDialects[options.dialect]) {
-		callback && callback(new Error('options.dialect must be either "mysql", "pg" or "mssql"'));
+	if (options.check && !options.outputDir && typeof(options.outputFile) !== 'string') {
+		callback(new Error('options.check requires options.outputFile or options.outputDir'));
 		return;
 	}
 
-	options.eol = options.eol || '\n';
 	options.encoding = options.encoding || 'utf8';
 	options.mode = options.mode || 0644;
-	options.indent = options.indent || '\t';
 
-	function camelize(name) {
-		return name.replace(/_(.)/g, function(all, c) {
-			return c.toUpperCase();
-		});
-	}
-
-	function tryCamelize(name) {
-		return !options.camelize ? name : camelize(name);
-	}
-
-	function runQuery(query, callback) {
-		query = query.toQuery();
-		log('debug', 'QUERY: ' + query.text + ' :: ' + util.inspect(query.values));
-		switch (options.dialect) {
-			case 'mysql':
-				client.query(query.text, query.values, callback);
-				break;
-			case 'pg':
-				client.query(query.text, query.values, function(err, result) {
-					callback(err, result && result.rows);
-				});
-				break;
-			case 'mssql':
-				var req = client.request();
-
-				query.values.map(function(value, index) {
-					req.input(index + 1, value);
-				});
-
-		  req.query(query.text, (err, result) => {
-                      callback(err, !err && result.recordset);
-                  });
-		  break;
-		}
-	}
-
-	function write() {
-		var string = [].slice.call(arguments, 0, -1)
-				.map(function(obj) { return (obj || '').toString(); })
-				.filter(function(message) { return !!message; })
-				.join(options.eol) + options.eol,
-			callback = arguments[arguments.length - 1],
-			buffer = new Buffer(string, options.encoding);
+	function write(string, callback) {
+		var buffer = new Buffer(string, options.encoding);
 
 		if (fd) {
 			fs.write(fd, buffer, 0, buffer.length, null, function(err, written) {
@@ -117,254 +110,27 @@ module.exports = function(options, callback) {
 		}
 	}
 
-	function getListOfTables(callback) {
-		var query = tables
-			.select(tables.name.as('name'))
-			.from(tables);
-
-		switch (options.dialect) {
-			case 'mysql':
-				query = query.where(tables.schema.equals(options.database));
-				break;
-			case 'pg':
-				query = query
-					.where(tables.schema.equals(options.schema))
-					.and(tables.catalog.equals(options.database));
-				break;
-			case 'mssql':
-				query = query
-					.where(tables.schema.equals(options.schema || 'dbo'))
-					.and(tables.catalog.equals(options.database))
-					.and(tables.type.equals('BASE TABLE'))
-					.and(tables.name.notEquals('sysdiagrams')); //disconsider views
-				break;
-		}
-
-		query = query.order(tables.name);
-
-		runQuery(query, function(err, rows) {
-			if (err) {
-				callback(err);
-				return;
-			}
-		  callback(null, rows.map(function(row) {
-                    if (options.includeRegex || options.excludeRegex) {
-                      if (options.includeRegex) {
-                        if (options.includeRegex.some(function(re) { return row.name.match(re) !== null; })) {
-			  // don't return excluded tables
-			  if (options.excludeRegex &&
-			      !options.excludeRegex.every(function(re) { return row.name.match(re) === null; })) {
-			    return undefined;
-			  } else {
-			    return row.name;
-			  }
-                        } else {
-			  return undefined;
-                        }
-                      } else if (options.excludeRegex) {
-			if (!options.excludeRegex.every(function(re) { return row.name.match(re) === null; })) {
-			  return undefined;
-		        } else {
-			  return row.name;
-		        }
-                      } else {
-			return undefined;
-                      }
-                    } else {
-		      return row.name;
-		    }
-		  }).filter(function(r) { return r !== undefined; }));
-		});
-	}
-
-	function getListOfColumns(tableName, callback) {
-		var query = columns
-			.select(
-				columns.name.as('name'),
-				columns.isNullable.as('nullable'),
-				columns.defaultValue.as('defaultValue'),
-				columns.charLength.as('charLength'),
-				columns.type.as('type')
-			)
-			.from(columns)
-			.where(columns.tableName.equals(tableName));
-
-		switch (options.dialect) {
-			case 'mysql':
-				query = query.and(columns.tableSchema.equals(options.database));
-				break;
-			case 'pg':
-				query = query
-					.and(columns.tableSchema.equals(options.schema))
-					.and(columns.tableCatalog.equals(options.database));
-				break;
-			case 'mssql':
-				query = query
-					.and(columns.tableSchema.equals(options.schema || 'dbo'))
-					.and(columns.tableCatalog.equals(options.database));
-				break;
-		}
-
-		query = query.order(columns.ordinalPosition);
-
-		runQuery(query, function(err, results) {
-			if (err) {
-				callback(err);
-				return;
-			}
-
-			results = results.map(function(col) {
-				switch (col.type) {
-					case 'character varying':
-						col.type = 'varchar';
-						break;
-					case 'character':
-						col.type = 'char';
-						break;
-					case 'integer':
-						col.type = 'int';
-						break;
-				}
-
-				col.nullable = col.nullable === 'YES';
-				col.maxLength = parseInt(col.maxLength) || null;
-
-				return col;
-			});
-
-			callback(null, results);
-		});
-	}
-
 	var log = options.log || function() {},
 		fd = null,
-		client = null,
-		tableNames = null,
+		model = null,
 		stats = {
 			start: new Date(),
 			end: null,
 			elapsed: null,
 			written: 0,
+			bytesWritten: 0,
 			buffer: '',
-			tables: {}
-		},
-		db = require(options.dialect),
-		columns,
-		tables;
-
-	switch (options.dialect) {
-		case 'mysql':
-			client = db.createConnection(options.dsn);
-			options.database = options.database || client.config.database;
-			sql.setDialect('mysql');
-			columns = sql.define({
-				name: 'COLUMNS',
-				schema: 'information_schema',
-				columns: [
-					{ name: 'TABLE_SCHEMA', property: 'tableSchema' },
-					{ name: 'TABLE_NAME', property: 'tableName' },
-					{ name: 'COLUMN_NAME', property: 'name' },
-					{ name: 'ORDINAL_POSITION', property: 'ordinalPosition' },
-					{ name: 'DATA_TYPE', property: 'type' },
-					{ name: 'CHARACTER_MAXIMUM_LENGTH', property: 'charLength' },
-					{ name: 'COLUMN_DEFAULT', property: 'defaultValue' },
-					{ name: 'IS_NULLABLE', property: 'isNullable' }
-				]
-			});
-			tables = sql.define({
-				name: 'TABLES',
-				schema: 'information_schema',
-				columns: [
-					{ name: 'TABLE_NAME', property: 'name' },
-					{ name: 'TABLE_SCHEMA', property: 'schema' }
-				]
-			});
-			break;
-		case 'pg':
-			sql.setDialect('postgres');
-			client = new db.Client(options.dsn);
-			options.database = options.database || client.database;
-			options.schema = options.schema || 'public';
-			columns = sql.define({
-				name: 'columns',
-				schema: 'information_schema',
-				columns: [
-					{ name: 'table_schema', property: 'tableSchema' },
-					{ name: 'table_name', property: 'tableName' },
-					{ name: 'table_catalog', property: 'tableCatalog' },
-					{ name: 'column_name', property: 'name' },
-					{ name: 'ordinal_position', property: 'ordinalPosition' },
-					{ name: 'data_type', property: 'type' },
-					{ name: 'character_maximum_length', property: 'charLength' },
-					{ name: 'column_default', property: 'defaultValue' },
-					{ name: 'is_nullable', property: 'isNullable' }
-				]
-			});
-			tables = sql.define({
-				name: 'tables',
-				schema: 'information_schema',
-				columns: [
-					{ name: 'table_name', property: 'name' },
-					{ name: 'table_schema', property: 'schema' },
-					{ name: 'table_catalog', property: 'catalog' }
-				]
-			});
-			break;
-		case 'mssql':
-			sql.setDialect('mssql');
-			//Extract information from mssql dsn to options, since the mssql module do not understand the dsn format
-			var mssqlDsn = options.dsn;
-			if (mssqlDsn.slice(-1) === ';') {
-				mssqlDsn = mssqlDsn.substring(0, mssqlDsn.length - 1);
-			}
-			try {
-				mssqlDsn = JSON.parse("{\"" +
-					mssqlDsn.replace('mssql://', '')
-						.replace(/=/g, '\":\"')
-						.replace(/;/g, '\",\"') +
-					"\"}"
-				);
-			} catch (e) {
-				callback(e);
-				return;
-			}
-
-			client = new db.ConnectionPool(mssqlDsn);
-			options.database = options.database || mssqlDsn.database;
-			columns = sql.define({
-				name: 'columns',
-				schema: options.database + '].[information_schema',
-				columns: [
-					{ name: 'table_schema', property: 'tableSchema' },
-					{ name: 'table_name', property: 'tableName' },
-					{ name: 'table_catalog', property: 'tableCatalog' },
-					{ name: 'column_name', property: 'name' },
-					{ name: 'ordinal_position', property: 'ordinalPosition' },
-					{ name: 'data_type', property: 'type' },
-					{ name: 'character_maximum_length', property: 'charLength' },
-					{ name: 'column_default', property: 'defaultValue' },
-					{ name: 'is_nullable', property: 'isNullable' }
-				]
-			});
-			tables = sql.define({
-				name: 'tables',
-				schema: options.database + '].[information_schema',
-				columns: [
-					{ name: 'table_name', property: 'name' },
-					{ name: 'table_schema', property: 'schema' },
-					{ name: 'table_catalog', property: 'catalog' },
-					{ name: 'table_type', property: 'type' }
-				]
-			});
-			break;
-	}
-
-	if (!options.database) {
-		callback(new Error('options.database is required if it is not part of the DSN'));
-		return;
-	}
+			tables: {},
+			relations: []
+		};
 
 	function openFile(next) {
+		//checking works on stats.buffer
+		if (options.outputDir || options.check) {
+			process.nextTick(next);
+			return;
+		}
+
 		if (typeof(options.outputFile) === 'string') {
 			fs.open(options.outputFile, 'w', options.mode, function(err, descriptor) {
 				if (!err) {
@@ -382,166 +148,182 @@ module.exports = function(options, callback) {
 		}
 	}
 
-	function connect(next) {
-		log('debug', 'Attempting connection with DSN "' + options.dsn + '"');
-		client.connect(next);
-	}
-
-	function writeHead(next) {
-		log('info',
-			'Starting generation against ' + options.database +
-				(options.schema ? '.' + options.schema : '')
-		);
-
-		var functions = [];
-		if (options.prepend) {
-			functions.push(function(next) {
-				write(options.prepend + options.eol, next);
-			});
+	function introspectDatabase(next) {
+		function done(err, result) {
+			model = result;
+			next(err);
 		}
 
-		if (!options.omitComments) {
-			functions.push(function(next) {
-				var headerComment = '// autogenerated by ' + info.name +
-					' v' + info.version + ' on ' + new Date();
-				write(headerComment + options.eol, next);
-			});
+		if (options.fromSnapshot) {
+			log('info', 'Reading snapshot from ' + options.fromSnapshot);
+			snapshot.load(options.fromSnapshot, done);
+			return;
 		}
 
-		if (options.modularize) {
-			functions.push(function(next) {
-				write(
-					'module.exports = function(sql) {',
-					options.indent + 'var exports = {};',
-					options.eol,
-					next
-				);
-			});
-		} else {
-			functions.push(function(next) {
-				write('var sql = require(\'sql\');', options.eol, next);
-			});
+		if (options.fromDdl) {
+			log('info', 'Parsing DDL from ' + options.fromDdl);
+			ddl.load(options.fromDdl, options, done);
+			return;
 		}
 
-		async.series(functions, next);
+		introspect(options, done);
 	}
 
-	function fetchTables(next) {
-		getListOfTables(function(err, tables) {
-			tableNames = tables;
-			next(err);
-		});
+	function saveSnapshot(next) {
+		if (!options.saveSnapshot) {
+			process.nextTick(next);
+			return;
+		}
+
+		log('info', 'Saving snapshot to ' + options.saveSnapshot);
+		snapshot.save(options.saveSnapshot, model, next);
 	}
 
-	function processTables(next) {
-		function writeTable(tableName, next) {
-			var start = Date.now(),
-				//indent everything by one if modularize is set
-				indent = options.modularize ? options.indent : '';
-			log('info', 'Starting ' + options.database + '.' + (options.schema ? options.schema + '.' : '') + tableName + '...');
-			stats.tables[tableName] = {
-				columns: []
-			};
-			getListOfColumns(tableName, function(err, columnData) {
-				if (err) {
-					next(err);
-					return;
-				}
+	function applyOverrides(next) {
+		if (!options.overrides) {
+			process.nextTick(next);
+			return;
+		}
 
-				log('debug', '  Found ' + columnData.length + ' columns');
+		try {
+			var tableOverrides = typeof(options.overrides) === 'string' ?
+				overrides.load(options.overrides) :
+				options.overrides;
 
-				var args = [],
-					fullName = (options.schema || options.database) + '.' + tableName;
+			model = overrides.apply(model, tableOverrides, log);
+		} catch (e) {
+			next(e);
+			return;
+		}
 
-				if (!options.omitComments) {
-					args.push(indent + '/**');
-					args.push(indent + ' * SQL definition for ' + fullName);
-					args.push(indent + ' */');
-				}
+		process.nextTick(next);
+	}
 
-				args.push(indent + 'exports.' + tryCamelize(tableName) + ' = sql.define({');
-				args.push(indent + options.indent + 'name: \'' + tableName + '\',');
-				if (options.includeSchema) {
-					args.push(indent + options.indent + 'schema: \'' + (options.schema || options.database) + '\',');
-				}
-				args.push(indent + options.indent + 'columns: [');
+	function filterColumns(next) {
+		model = columns.filter(model, options, log);
+		process.nextTick(next);
+	}
 
-				args.push(columnData.map(function(column) {
-					var columnString = indent + options.indent + options.indent + '{ ' +
-						'name: \'' + column.name + '\'';
-					var camelized = camelize(column.name);
+	function collectStats(next) {
+		var getProperty = naming.resolve(options).column || render.camelize;
 
-					if (options.camelize) {
-						columnString += ', property: \'' + camelized + '\'';
-					}
-					if (options.includeMeta) {
-						columnString += ', type: \'' + column.type + '\'';
-						columnString += ', nullable: ' + column.nullable;
-						columnString += ', charLength: ' + column.charLength;
+		model.tables.forEach(function(table) {
+			//tables of multiple schemas are keyed by "schema.table"
+			var tableName = table.schema ? table.schema + '.' + table.name : table.name;
+
+			stats.tables[tableName] = {
+				description: table.description || null,
+				columns: table.columns.map(function(column) {
+					if (column.references) {
+						stats.relations.push({
+							name: column.references.constraintName,
+							table: tableName,
+							column: column.name,
+							references: {
+								table: column.references.schema ?
+									column.references.schema + '.' + column.references.table : column.references.table,
+								column: column.references.column
+							}
+						});
 					}
-					columnString += ' }';
 
-					stats.tables[tableName].columns.push({
+					return {
 						name: column.name,
-						property: camelized,
+						property: column.property || getProperty(column.name),
 						type: column.type,
 						nullable: column.nullable,
-						charLength: column.charLength
-					});
-					return columnString;
-				}).join(',' + options.eol));
-
-				args.push(indent + options.indent + ']');
-				args.push(indent + '});');
-				args.push(options.eol);
-
-				args.push(function(err) {
-					if (!err) {
-						log('debug', '  ...finished! (' + (Date.now() - start) + 'ms)');
-					}
+						charLength: column.charLength,
+						primaryKey: column.primaryKey,
+						description: column.description || null
+					};
+				}),
+				//snapshots saved by older versions have no indexes
+				indexes: table.indexes || []
+			};
+		});
 
-					next(err);
-				});
+		process.nextTick(next);
+	}
 
-				write.apply(null, args);
-			});
+	function writeDefinitions(next) {
+		log('info', 'Generating definitions for ' + model.tables.length + ' tables');
+		if (!options.outputDir || options.check) {
+			var code;
+			try {
+				code = options.format === 'json-schema' ? jsonSchema(model, options) : render(model, options);
+			} catch (e) {
+				next(e);
+				return;
+			}
+
+			write(code, next);
+			return;
 		}
 
-		async.eachSeries(tableNames, writeTable, next);
+		directory(model, options, function(err, result) {
+			if (result) {
+				stats.files = result.files;
+				stats.removedFiles = result.removed;
+				stats.staleFiles = result.stale;
+				stats.bytesWritten += result.bytesWritten;
+				log('info', 'Wrote ' + result.files.length + ' files to ' + options.outputDir);
+			}
+
+			next(err);
+		});
 	}
 
-	function writeTail(next) {
-		if (options.modularize) {
-			write(
-				options.indent + 'return exports;',
-				'};',
-				tail
-			);
-		} else {
-			tail();
+	function writeDeclarations(next) {
+		//declarations are written per module when writing to a directory
+		if (!options.declarations || options.outputDir || options.check) {
+			process.nextTick(next);
+			return;
 		}
 
-		function tail(err) {
-			if (err) {
-				next(err);
-				return;
-			}
+		try {
+			stats.declarations = render.declarations(model, options);
+		} catch (e) {
+			next(e);
+			return;
+		}
 
-			if (options.append) {
-				write(options.append, next);
-			} else {
-				process.nextTick(next);
-			}
+		if (typeof(options.outputFile) !== 'string') {
+			process.nextTick(next);
+			return;
 		}
+
+		var declarationsFile = directory.getDeclarationsFile(options.outputFile);
+		log('info', 'Writing TypeScript declarations to ' + declarationsFile);
+		fs.writeFile(declarationsFile, stats.declarations, {
+			encoding: options.encoding,
+			mode: options.mode
+		}, next);
+	}
+
+	function checkDrift(next) {
+		if (!options.check) {
+			process.nextTick(next);
+			return;
+		}
+
+		log('info', 'Comparing definitions to ' + (options.outputDir || options.outputFile));
+		check(model, stats.buffer, options, function(err, differences) {
+			stats.drift = differences;
+			next(err);
+		});
 	}
 
+	//the output file is only touched once the database could be read
 	async.series([
+		introspectDatabase,
+		saveSnapshot,
+		applyOverrides,
+		filterColumns,
 		openFile,
-		connect,
-		writeHead,
-		fetchTables,
-		processTables,
-		writeTail
+		collectStats,
+		writeDefinitions,
+		writeDeclarations,
+		checkDrift
 	], function(appError) {
 		if (appError) {
 			log('error', appError);
@@ -567,4 +349,16 @@ module.exports = function(options, callback) {
 			callback(appError, stats);
 		}
 	});
-};
+}
+
+module.exports = generate;
+module.exports.introspect = introspect;
+module.exports.render = render;
+module.exports.renderDeclarations = render.declarations;
+module.exports.renderJsonSchema = jsonSchema;
+module.exports.parseDdl = ddl.parse;
+module.exports.loadSnapshot = snapshot.load;
+module.exports.saveSnapshot = snapshot.save;
+module.exports.formatDrift = check.format;
+module.exports.diff = diff;
+module.exports.formatDiff = diff.format;
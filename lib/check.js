@@ -0,0 +1,283 @@
+var fs = require('fs'),
+	path = require('path'),
+	async = require('async'),
+	directory = require('./directory'),
+	render = require('./render');
+
+//the autogenerated comment of code and of JSON schemas
+var headerPattern = /^(\/\/ |\s*"\$comment": ")autogenerated by .*(\r\n|\n)/m;
+
+/**
+ * Extracts the tables and column definitions from code generated by render()
+ *
+ * @param {String} code
+ * @return {Object} The column definitions of each table, keyed by table and column name
+ */
+function parseDefinitions(code) {
+	var tables = {},
+		current = null;
+
+	code.split(/\r?\n/).forEach(function(line) {
+		var match;
+
+		if (/sql\.define\(\{\s*$/.test(line)) {
+			current = {};
+			return;
+		}
+
+		if (!current) {
+			return;
+		}
+
+		if (!current.name && (match = /^\s*name: '([^']+)',\s*$/.exec(line))) {
+			current.name = match[1];
+			current.columns = tables[current.name] = {};
+			return;
+		}
+
+		//tables of multiple schemas may share a name
+		if (current.name && (match = /^\s*schema: '([^']+)',\s*$/.exec(line))) {
+			delete tables[current.name];
+			current.name = match[1] + '.' + current.name;
+			tables[current.name] = current.columns;
+			return;
+		}
+
+		//indexes (options.includeMeta) follow the columns and look alike
+		if (/^\s*indexes: \[\s*$/.test(line)) {
+			current.indexes = true;
+			return;
+		}
+
+		if (!current.indexes && (match = /^\s*(\{ name: '([^']+)'.*\}),?\s*$/.exec(line))) {
+			current.columns[match[2]] = match[1];
+			return;
+		}
+
+		if (/^\s*\}\);\s*$/.test(line)) {
+			current = null;
+		}
+	});
+
+	return tables;
+}
+
+/**
+ * Compares the existing contents of a generated file to freshly generated code, ignoring the
+ * autogenerated comment (and thus its timestamp)
+ *
+ * @param {String} file The name of the file, used to label the differences
+ * @param {String} existing
+ * @param {String} generated
+ * @return {Array} The differences, empty if the file is up to date
+ */
+function compare(file, existing, generated) {
+	existing = existing.replace(headerPattern, '');
+	generated = generated.replace(headerPattern, '');
+
+	if (existing === generated) {
+		return [];
+	}
+
+	var before = parseDefinitions(existing),
+		after = parseDefinitions(generated),
+		differences = [];
+
+	Object.keys(before).forEach(function(table) {
+		if (!after[table]) {
+			differences.push({ file: file, change: 'removed', table: table });
+		}
+	});
+
+	Object.keys(after).forEach(function(table) {
+		if (!before[table]) {
+			differences.push({ file: file, change: 'added', table: table });
+			return;
+		}
+
+		var columns = [];
+		Object.keys(before[table]).forEach(function(column) {
+			if (!(column in after[table])) {
+				columns.push({ change: 'removed', column: column, from: before[table][column] });
+			}
+		});
+		Object.keys(after[table]).forEach(function(column) {
+			if (!(column in before[table])) {
+				columns.push({ change: 'added', column: column, to: after[table][column] });
+			} else if (before[table][column] !== after[table][column]) {
+				columns.push({
+					change: 'changed',
+					column: column,
+					from: before[table][column],
+					to: after[table][column]
+				});
+			}
+		});
+
+		if (columns.length) {
+			differences.push({ file: file, change: 'changed', table: table, columns: columns });
+		}
+	});
+
+	//same tables and columns, so the difference is in the surrounding code (e.g. other options)
+	if (!differences.length) {
+		var existingLines = existing.split(/\r?\n/),
+			generatedLines = generated.split(/\r?\n/),
+			i = 0;
+
+		//bounded since files differing only in line endings split into the same lines
+		while (i < Math.max(existingLines.length, generatedLines.length) - 1 && existingLines[i] === generatedLines[i]) {
+			i++;
+		}
+
+		differences.push({
+			file: file,
+			change: 'changed',
+			line: i + 1,
+			from: existingLines[i],
+			to: generatedLines[i]
+		});
+	}
+
+	return differences;
+}
+
+/**
+ * Turns differences returned by compare() or check() into a human-readable report
+ *
+ * @param {Array} differences
+ * @param {String} [eol] Defaults to "\n"
+ * @return {String}
+ */
+function format(differences, eol) {
+	var lines = [],
+		file = null;
+
+	function pushChange(indent, change, text) {
+		lines.push(indent + { added: '+ ', removed: '- ', changed: '~ ' }[change] + text);
+	}
+
+	differences.forEach(function(difference) {
+		if (difference.file !== file) {
+			file = difference.file;
+			if (difference.change === 'missing') {
+				lines.push(file + ' does not exist');
+				return;
+			}
+			if (difference.change === 'stale') {
+				lines.push(file + ' should be removed, its table no longer exists');
+				return;
+			}
+			lines.push(file + ' is out of date:');
+		}
+
+		if (difference.line) {
+			pushChange('  ', 'changed', 'line ' + difference.line);
+			lines.push('      - ' + (difference.from === undefined ? '' : difference.from));
+			lines.push('      + ' + (difference.to === undefined ? '' : difference.to));
+			return;
+		}
+
+		pushChange('  ', difference.change, 'table ' + difference.table);
+		(difference.columns || []).forEach(function(column) {
+			pushChange('      ', column.change, 'column ' + column.column);
+			if (column.from) {
+				lines.push('          - ' + column.from);
+			}
+			if (column.to) {
+				lines.push('          + ' + column.to);
+			}
+		});
+	});
+
+	return lines.join(eol || '\n');
+}
+
+/**
+ * Compares freshly generated code to options.outputFile (and the TypeScript declarations next to it if
+ * options.declarations is set), or to the modules in options.outputDir
+ *
+ * @param {Object} model
+ * @param {String} generated The generated code for options.outputFile
+ * @param {Object} options Same as for generate()
+ * @param {Function} callback Receives an error or the differences, empty if everything is up to date
+ */
+function check(model, generated, options, callback) {
+	var files = {},
+		differences = [];
+
+	try {
+		if (options.outputDir) {
+			files = directory.renderFiles(model, options);
+		} else {
+			files[options.outputFile] = generated;
+			if (options.declarations) {
+				files[directory.getDeclarationsFile(options.outputFile)] = render.declarations(model, options);
+			}
+		}
+	} catch (e) {
+		callback(e);
+		return;
+	}
+
+	function getPath(file) {
+		return options.outputDir ? path.join(options.outputDir, file) : file;
+	}
+
+	function compareFiles(next) {
+		async.eachSeries(Object.keys(files), function(file, next) {
+			fs.readFile(getPath(file), options.encoding, function(err, existing) {
+				if (err && err.code === 'ENOENT') {
+					differences.push({ file: getPath(file), change: 'missing' });
+					next();
+					return;
+				}
+				if (err) {
+					next(err);
+					return;
+				}
+
+				differences = differences.concat(compare(getPath(file), existing, files[file]));
+				next();
+			});
+		}, next);
+	}
+
+	function findStaleFiles(next) {
+		if (!options.outputDir) {
+			process.nextTick(next);
+			return;
+		}
+
+		directory.findStaleFiles(options.outputDir, files, options, function(err, stale) {
+			if (err && err.code === 'ENOENT') {
+				next();
+				return;
+			}
+
+			async.eachSeries(stale || [], function(file, next) {
+				fs.readFile(getPath(file), options.encoding, function(err, contents) {
+					if (!err && directory.isGenerated(contents)) {
+						differences.push({ file: getPath(file), change: 'stale' });
+					}
+
+					next(err);
+				});
+			}, function(staleErr) {
+				next(err || staleErr);
+			});
+		});
+	}
+
+	async.series([
+		compareFiles,
+		findStaleFiles
+	], function(err) {
+		callback(err, differences);
+	});
+}
+
+module.exports = check;
+module.exports.compare = compare;
+module.exports.format = format;
+module.exports.parseDefinitions = parseDefinitions;
@@ -0,0 +1,61 @@
+var util = require('util');
+
+function matchesAny(regexes, names) {
+	return regexes.some(function(re) {
+		return names.some(function(name) {
+			return name.match(re) !== null;
+		});
+	});
+}
+
+/**
+ * Leaves out the columns not matching options.includeColumns or matching options.excludeColumns.
+ * The regular expressions are matched against "column" and "table.column" (and "schema.table.column"
+ * for multiple schemas).
+ *
+ * @param {Object} model
+ * @param {Object} options
+ * @param {RegExp[]} [options.includeColumns] Only keep columns matching one of these
+ * @param {RegExp[]} [options.excludeColumns] Leave out columns matching any of these
+ * @param {Function} [log] Receives the columns left out
+ * @return {Object} A copy of the model without the filtered columns
+ */
+function filter(model, options, log) {
+	var include = options.includeColumns,
+		exclude = options.excludeColumns,
+		dropped = [];
+
+	log = log || function() {};
+
+	if (!include && !exclude) {
+		return model;
+	}
+
+	var tables = model.tables.map(function(table) {
+		var tableName = table.schema ? table.schema + '.' + table.name : table.name;
+
+		return util._extend(util._extend({}, table), {
+			columns: table.columns.filter(function(column) {
+				var names = [ column.name, table.name + '.' + column.name ];
+				if (table.schema) {
+					names.push(tableName + '.' + column.name);
+				}
+
+				if ((include && !matchesAny(include, names)) || (exclude && matchesAny(exclude, names))) {
+					dropped.push(tableName + '.' + column.name);
+					return false;
+				}
+
+				return true;
+			})
+		});
+	});
+
+	if (dropped.length) {
+		log('info', 'Leaving out ' + dropped.length + ' filtered columns: ' + dropped.join(', '));
+	}
+
+	return util._extend(util._extend({}, model), { tables: tables });
+}
+
+module.exports.filter = filter;
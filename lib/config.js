@@ -0,0 +1,146 @@
+var fs = require('fs'),
+	path = require('path'),
+	util = require('util'),
+	introspect = require('./introspect');
+
+//looked up in this order, followed by the "sqlGenerate" key of package.json
+var configFiles = [ '.sqlgeneraterc', 'sql-generate.config.js' ];
+
+//options holding paths, which are relative to the configuration file
+var pathOptions = [ 'outputFile', 'outputDir', 'saveSnapshot', 'fromSnapshot', 'fromDdl', 'template', 'overrides' ];
+
+/**
+ * Reads a configuration file: .js files are required, package.json provides its "sqlGenerate" key
+ * and anything else is parsed as JSON
+ *
+ * @param {String} file
+ * @return {Object|null} The configuration, or null if package.json has no "sqlGenerate" key
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function load(file) {
+	var config;
+
+	try {
+		if (/\.js$/.test(file)) {
+			config = require(path.resolve(file));
+		} else {
+			config = JSON.parse(fs.readFileSync(file, 'utf8'));
+			if (path.basename(file) === 'package.json') {
+				config = config.sqlGenerate || null;
+			}
+		}
+	} catch (e) {
+		throw new Error('Invalid configuration "' + file + '": ' + e.message);
+	}
+
+	if (config !== null && (!config || typeof(config) !== 'object')) {
+		throw new Error('Invalid configuration "' + file + '": expected an object');
+	}
+
+	return config;
+}
+
+/**
+ * Looks for a configuration in a directory
+ *
+ * @param {String} dir
+ * @return {Object|null} { file, config }, or null if there is no configuration
+ */
+function find(dir) {
+	var files = configFiles.concat('package.json');
+
+	for (var i = 0; i < files.length; i++) {
+		var file = path.join(dir, files[i]);
+		if (!fs.existsSync(file)) {
+			continue;
+		}
+
+		var config = load(file);
+		if (config) {
+			return { file: file, config: config };
+		}
+	}
+
+	return null;
+}
+
+//a sqlite DSN is the path to the database file (optionally prefixed with "sqlite:" or "sqlite://")
+function resolveDsn(options, dir) {
+	var match = /^(sqlite:(?:\/\/)?)?(.*)$/i.exec(options.dsn),
+		isSqlite = (options.dialect || introspect.getDialect(options.dsn) || '').toLowerCase() === 'sqlite';
+
+	if (!isSqlite || !match[2] || match[2] === ':memory:') {
+		return options.dsn;
+	}
+
+	return (match[1] || '') + path.resolve(dir, match[2]);
+}
+
+function toRegExps(value) {
+	if (!value) {
+		return value;
+	}
+
+	return (Array.isArray(value) ? value : String(value).split(',')).map(function(re) {
+		return re instanceof RegExp ? re : new RegExp(re);
+	});
+}
+
+/**
+ * Resolves the options of each target of a configuration. Options outside of "targets" apply to
+ * every target; a configuration without targets is a single unnamed target.
+ *
+ *   { camelize: true, targets: { main: { dsn: '...', outputFile: 'db/main.js' }, billing: { ... } } }
+ *
+ * @param {Object} config
+ * @param {String} file The configuration file, paths (including the database file of a sqlite DSN) are resolved
+ * relative to it
+ * @param {String[]} [names] Only return these targets
+ * @return {Array} [ { name, options } ]
+ * @throws {Error} If a target does not exist
+ */
+function getTargets(config, file, names) {
+	var shared = util._extend({}, config),
+		targets = config.targets || null,
+		dir = path.dirname(file);
+
+	delete shared.targets;
+
+	if (!targets) {
+		if (names && names.length) {
+			throw new Error('Configuration "' + file + '" has no targets');
+		}
+
+		targets = { '': {} };
+	}
+
+	names = names && names.length ? names : Object.keys(targets);
+
+	return names.map(function(name) {
+		if (!targets.hasOwnProperty(name)) {
+			throw new Error('Configuration "' + file + '" has no target "' + name + '"');
+		}
+
+		var options = util._extend(util._extend({}, shared), targets[name]);
+
+		pathOptions.forEach(function(option) {
+			if (typeof(options[option]) === 'string') {
+				options[option] = path.resolve(dir, options[option]);
+			}
+		});
+		if (typeof(options.dsn) === 'string') {
+			options.dsn = resolveDsn(options, dir);
+		}
+
+		options.includeRegex = toRegExps(options.includeRegex);
+		options.excludeRegex = toRegExps(options.excludeRegex);
+		options.includeColumns = toRegExps(options.includeColumns);
+		options.excludeColumns = toRegExps(options.excludeColumns);
+
+		return { name: name || null, options: options };
+	});
+}
+
+module.exports.load = load;
+module.exports.find = find;
+module.exports.getTargets = getTargets;
@@ -0,0 +1,1145 @@
+var fs = require('fs'),
+	path = require('path'),
+	introspect = require('./introspect'),
+	normalizeType = introspect.normalizeType;
+
+//words that end a column's data type and start its constraints
+var columnKeywords = {
+	NOT: 1, NULL: 1, DEFAULT: 1, PRIMARY: 1, REFERENCES: 1, UNIQUE: 1, CHECK: 1, CONSTRAINT: 1,
+	COLLATE: 1, GENERATED: 1, AUTO_INCREMENT: 1, AUTOINCREMENT: 1, IDENTITY: 1, COMMENT: 1, ON: 1,
+	CHARSET: 1, UNSIGNED: 1, SIGNED: 1, ZEROFILL: 1, AS: 1, STORED: 1, VIRTUAL: 1, SPARSE: 1,
+	ROWGUIDCOL: 1, FILESTREAM: 1, KEY: 1, FOREIGN: 1
+};
+
+var tableConstraintKeywords = {
+	CONSTRAINT: 1, PRIMARY: 1, FOREIGN: 1, UNIQUE: 1, CHECK: 1, KEY: 1, INDEX: 1,
+	FULLTEXT: 1, SPATIAL: 1, EXCLUDE: 1, LIKE: 1, PERIOD: 1
+};
+
+//type names as information_schema reports them
+var typeAliases = {
+	pg: {
+		'int': 'integer', int4: 'integer', serial: 'integer', serial4: 'integer',
+		int2: 'smallint', smallserial: 'smallint', serial2: 'smallint',
+		int8: 'bigint', bigserial: 'bigint', serial8: 'bigint',
+		varchar: 'character varying', 'char': 'character', bpchar: 'character',
+		bool: 'boolean', 'float': 'double precision', float8: 'double precision', float4: 'real', decimal: 'numeric',
+		timestamp: 'timestamp without time zone', timestamptz: 'timestamp with time zone',
+		time: 'time without time zone', timetz: 'time with time zone', varbit: 'bit varying'
+	},
+	mysql: {
+		integer: 'int', bool: 'tinyint', 'boolean': 'tinyint', numeric: 'decimal', dec: 'decimal',
+		fixed: 'decimal', 'double precision': 'double', real: 'double', 'character varying': 'varchar',
+		character: 'char', 'national varchar': 'varchar', nvarchar: 'varchar', 'national char': 'char',
+		nchar: 'char', serial: 'bigint'
+	},
+	mssql: {
+		integer: 'int', 'character varying': 'varchar', character: 'char', 'national character varying': 'nvarchar',
+		'national character': 'nchar', dec: 'decimal', 'double precision': 'float', rowversion: 'timestamp'
+	},
+	sqlite: {}
+};
+
+//precision and scale of exact numerics without arguments
+var implicitPrecisions = {
+	mysql: [ 10, 0 ],
+	mssql: [ 18, 0 ]
+};
+
+//fractional seconds precision of times without an argument
+var implicitDatetimePrecisions = {
+	pg: { 'timestamp without time zone': 6, 'timestamp with time zone': 6, 'time without time zone': 6, 'time with time zone': 6 },
+	mysql: { datetime: 0, timestamp: 0, time: 0 },
+	mssql: { datetime: 3, smalldatetime: 0, datetime2: 7, datetimeoffset: 7, time: 7 }
+};
+
+//lengths of types without a length argument
+var implicitLengths = {
+	mysql: {
+		tinytext: 255, text: 65535, mediumtext: 16777215, longtext: 4294967295,
+		tinyblob: 255, blob: 65535, mediumblob: 16777215, longblob: 4294967295
+	},
+	mssql: {
+		text: 2147483647, ntext: 1073741823, image: 2147483647, xml: -1
+	}
+};
+
+function tokenize(text, dialect) {
+	var tokens = [],
+		i = 0,
+		match;
+
+	function push(type, value, start) {
+		tokens.push({ type: type, value: value, start: start, end: i });
+	}
+
+	while (i < text.length) {
+		var c = text.charAt(i),
+			start = i,
+			rest = text.slice(i);
+
+		if (/\s/.test(c)) {
+			i++;
+		} else if (rest.indexOf('--') === 0 || (c === '#' && dialect === 'mysql')) {
+			i = text.indexOf('\n', i);
+			i = i === -1 ? text.length : i;
+		} else if (rest.indexOf('/*') === 0) {
+			i = text.indexOf('*/', i + 2);
+			i = i === -1 ? text.length : i + 2;
+		} else if (c === '\'') {
+			match = /^'(?:[^'\\]|''|\\.)*'/.exec(rest) || [ rest ];
+			i += match[0].length;
+			push('string', match[0].slice(1, -1).replace(/''/g, '\''), start);
+		} else if ((match = /^\$([a-z_]*)\$/i.exec(rest))) {
+			//postgres dollar quoting, e.g. function bodies
+			var end = text.indexOf(match[0], i + match[0].length);
+			i = end === -1 ? text.length : end + match[0].length;
+			push('string', text.slice(start + match[0].length, end === -1 ? text.length : end), start);
+		} else if (c === '"' || c === '`' || (c === '[' && (dialect === 'mssql' || dialect === 'sqlite'))) {
+			var close = c === '[' ? ']' : c,
+				value = '';
+			i++;
+			while (i < text.length) {
+				if (text.charAt(i) === close) {
+					if (text.charAt(i + 1) !== close) {
+						break;
+					}
+					i++;
+				}
+				value += text.charAt(i++);
+			}
+			i++;
+			push('identifier', value, start);
+		} else if ((match = /^[a-z_@#][\w$@#]*/i.exec(rest))) {
+			i += match[0].length;
+			//mssql batch separator on a line of its own
+			var line = text.slice(text.lastIndexOf('\n', start - 1) + 1).split(/\r?\n/)[0];
+			push(/^\s*go\s*$/i.test(line) ? 'separator' : 'word', match[0], start);
+		} else if ((match = /^\d+(\.\d+)?/.exec(rest))) {
+			i += match[0].length;
+			push('number', match[0], start);
+		} else if (rest.indexOf('::') === 0) {
+			i += 2;
+			push('symbol', '::', start);
+		} else {
+			i++;
+			push('symbol', c, start);
+		}
+	}
+
+	return tokens;
+}
+
+function splitStatements(tokens) {
+	var statements = [],
+		current = [];
+
+	tokens.forEach(function(token) {
+		if ((token.type === 'symbol' && token.value === ';') || token.type === 'separator') {
+			if (current.length) {
+				statements.push(current);
+			}
+			current = [];
+			return;
+		}
+
+		current.push(token);
+	});
+
+	if (current.length) {
+		statements.push(current);
+	}
+
+	return statements;
+}
+
+/**
+ * Parses CREATE TABLE, CREATE INDEX, ALTER TABLE ... ADD and ALTER TABLE ... ALTER COLUMN ... SET/DROP DEFAULT
+ * statements (as well as comments of tables and columns) into the same model that introspect() creates
+ *
+ * @param {String} text The SQL script
+ * @param {Object} options
+ * @param {String} options.dialect Either "mysql", "pg", "mssql" or "sqlite"
+ * @param {String} [options.database] Name of the database, defaults to the database of a USE statement
+ * @param {String|String[]} [options.schema] Only tables in this schema (or without a schema) are returned,
+ * or a comma-delimited list of schemas (pg and mssql only)
+ * @param {Boolean} [options.allSchemas] Return the tables of all schemas (pg and mssql only)
+ * @param {Function} [options.log] Logging function
+ * @return {Object}
+ */
+function parse(text, options) {
+	var dialect = options.dialect,
+		log = options.log || function() {},
+		schemas = introspect.parseSchemas(options),
+		schema = !schemas && options.schema ? [].concat(options.schema)[0] : null,
+		defaultSchema = schema || { pg: 'public', mssql: 'dbo', sqlite: 'main' }[dialect] || null,
+		database = options.database || null,
+		tables = {},
+		enums = {},
+		tokens,
+		pos;
+
+	function peek(offset) {
+		return tokens[pos + (offset || 0)];
+	}
+
+	function isWord(token, word) {
+		return !!token && token.type === 'word' && token.value.toUpperCase() === word;
+	}
+
+	function isSymbol(token, symbol) {
+		return !!token && token.type === 'symbol' && token.value === symbol;
+	}
+
+	function acceptWords() {
+		var words = [].slice.call(arguments);
+		for (var i = 0; i < words.length; i++) {
+			if (!isWord(peek(i), words[i])) {
+				return false;
+			}
+		}
+
+		pos += words.length;
+		return true;
+	}
+
+	//e.g. ' near "foo"', for errors
+	function near(token) {
+		return token ? ' near "' + text.slice(token.start, token.end) + '"' : ' at the end of a statement';
+	}
+
+	function identifier(token) {
+		//postgres folds unquoted identifiers to lower case
+		return token.type === 'word' && dialect === 'pg' ? token.value.toLowerCase() : token.value;
+	}
+
+	//the next token as a name, e.g. of a table or constraint
+	function readIdentifier() {
+		var token = peek();
+		if (!token || (token.type !== 'word' && token.type !== 'identifier')) {
+			throw new Error('Expected a name' + near(token || tokens[pos - 1]));
+		}
+
+		pos++;
+		return identifier(token);
+	}
+
+	//skips a parenthesized group, returning its tokens split by top-level commas
+	function readGroup() {
+		var items = [ [] ],
+			depth = 0,
+			start = pos;
+
+		if (!isSymbol(peek(), '(')) {
+			throw new Error('Expected "("' + near(peek()));
+		}
+
+		do {
+			var token = tokens[pos++];
+			if (!token) {
+				throw new Error('Unbalanced parentheses' + near(tokens[start - 1] || tokens[start]));
+			}
+			if (isSymbol(token, '(')) {
+				depth++;
+				if (depth === 1) {
+					continue;
+				}
+			} else if (isSymbol(token, ')')) {
+				depth--;
+				if (depth === 0) {
+					break;
+				}
+			} else if (isSymbol(token, ',') && depth === 1) {
+				items.push([]);
+				continue;
+			}
+
+			items[items.length - 1].push(token);
+		} while (true);
+
+		return items.filter(function(item) {
+			return item.length > 0;
+		});
+	}
+
+	//e.g. 'text', N'text' (mssql) or E'text' (pg), null for anything else
+	function readString() {
+		if (peek() && peek().type === 'word' && /^[NE]$/i.test(peek().value) && peek(1) && peek(1).type === 'string') {
+			pos++;
+		}
+
+		var token = tokens[pos++];
+		if (!token || token.type !== 'string') {
+			return null;
+		}
+
+		return unescape(token.value);
+	}
+
+	//backslashes escape characters in mysql strings
+	function unescape(value) {
+		return dialect === 'mysql' ? value.replace(/\\(.)/g, function(all, c) {
+			return { n: '\n', r: '\r', t: '\t', '0': '\0' }[c] || c;
+		}) : value;
+	}
+
+	//e.g. [db].[schema].[table] -> [ 'db', 'schema', 'table' ]
+	function readName() {
+		var parts = [ readIdentifier() ];
+		while (isSymbol(peek(), '.')) {
+			pos++;
+			if (isSymbol(peek(), '.')) {
+				//mssql: db..table
+				parts.push('');
+			} else {
+				parts.push(readIdentifier());
+			}
+		}
+
+		return parts;
+	}
+
+	function readColumnList() {
+		return readGroup().map(function(item) {
+			return identifier(item[0]);
+		});
+	}
+
+	function qualify(parts) {
+		var name = parts[parts.length - 1],
+			qualifier = parts.length > 1 ? parts[parts.length - 2] : '';
+
+		if (dialect === 'mysql') {
+			return { key: (qualifier || database) + '.' + name, qualifier: qualifier || database, name: name };
+		}
+
+		return { key: (qualifier || defaultSchema) + '.' + name, qualifier: qualifier || defaultSchema, name: name };
+	}
+
+	function findTable(parts) {
+		var qualified = qualify(parts);
+		if (!tables[qualified.key]) {
+			log('warn', 'DDL: table ' + parts.join('.') + ' has not been created');
+		}
+		return tables[qualified.key];
+	}
+
+	function defaultConstraintName(table, columns) {
+		switch (dialect) {
+			case 'pg':
+				return table.name + '_' + columns.join('_') + '_fkey';
+			case 'mysql':
+				table.foreignKeyCount = (table.foreignKeyCount || 0) + 1;
+				return table.name + '_ibfk_' + table.foreignKeyCount;
+			default:
+				return null;
+		}
+	}
+
+	function readReferences(table, columns, constraintName, indexName) {
+		var referenced = qualify(readName()),
+			referencedColumns = isSymbol(peek(), '(') ? readColumnList() : null;
+
+		table.foreignKeys.push({
+			constraintName: constraintName || defaultConstraintName(table, columns),
+			//mysql names the index it creates for the key after the constraint
+			indexName: constraintName || indexName || null,
+			columns: columns,
+			key: referenced.key,
+			schema: referenced.qualifier,
+			table: referenced.name,
+			referencedColumns: referencedColumns
+		});
+	}
+
+	//columns of an index, leaving out expressions (a mysql column followed by parentheses has a prefix length)
+	function readIndexColumns() {
+		return readGroup().filter(function(item) {
+			return (item[0].type === 'word' || item[0].type === 'identifier') && (dialect === 'mysql' || !isSymbol(item[1], '('));
+		}).map(function(item) {
+			return identifier(item[0]);
+		});
+	}
+
+	//e.g. "UNIQUE KEY name USING BTREE (...)", "UNIQUE NONCLUSTERED (...)"
+	function readIndexName() {
+		var name = null;
+
+		acceptWords('KEY') || acceptWords('INDEX');
+		while (peek() && !isSymbol(peek(), '(')) {
+			if (acceptWords('USING')) {
+				pos++;
+			} else if (acceptWords('CLUSTERED') || acceptWords('NONCLUSTERED')) {
+				continue;
+			} else {
+				name = identifier(tokens[pos++]);
+			}
+		}
+
+		return name;
+	}
+
+	//indexes of constraints, which sqlite names differently than those of CREATE INDEX
+	function addIndex(table, name, columns, unique, primary) {
+		if (primary) {
+			table.indexes = table.indexes.filter(function(index) {
+				return !index.primary;
+			});
+		}
+
+		table.indexes.push({
+			name: name,
+			columns: columns,
+			unique: unique,
+			primary: primary,
+			constraint: true
+		});
+	}
+
+	function readTableConstraint(table, item) {
+		var constraintName = null;
+
+		tokens = item;
+		pos = 0;
+
+		if (acceptWords('CONSTRAINT')) {
+			constraintName = readIdentifier();
+		}
+
+		if (acceptWords('PRIMARY', 'KEY')) {
+			while (peek() && !isSymbol(peek(), '(')) {
+				pos++; //CLUSTERED etc.
+			}
+			table.primaryKey = readColumnList();
+			addIndex(table, constraintName, table.primaryKey, true, true);
+		} else if (acceptWords('UNIQUE')) {
+			var uniqueName = readIndexName();
+			addIndex(table, uniqueName || constraintName, readIndexColumns(), true, false);
+		} else if (acceptWords('INDEX') || acceptWords('KEY') || acceptWords('FULLTEXT') || acceptWords('SPATIAL')) {
+			//mysql indexes defined along with the table
+			var indexName = readIndexName();
+			addIndex(table, indexName, readIndexColumns(), false, false);
+		} else if (acceptWords('FOREIGN', 'KEY')) {
+			var foreignKeyIndexName = !isSymbol(peek(), '(') ? readIdentifier() : null,
+				columns = readColumnList();
+			if (acceptWords('REFERENCES')) {
+				readReferences(table, columns, constraintName, foreignKeyIndexName);
+			}
+		}
+	}
+
+	function readType(column) {
+		var words = [],
+			args = [],
+			array = false;
+
+		while (pos < tokens.length) {
+			var token = peek();
+			if (isSymbol(token, '(')) {
+				args = readGroup().map(function(arg) {
+					return arg[0].value;
+				});
+			} else if (isSymbol(token, '[')) {
+				array = true;
+				pos += isSymbol(peek(1), ']') ? 2 : 3;
+			} else if ((isWord(token, 'WITH') || isWord(token, 'WITHOUT')) && isWord(peek(1), 'TIME')) {
+				words.push(tokens[pos++].value, tokens[pos++].value);
+				if (isWord(peek(), 'ZONE')) {
+					words.push(tokens[pos++].value);
+				}
+			} else if (isWord(token, 'CHARACTER') && isWord(peek(1), 'SET')) {
+				break;
+			} else if (token.type === 'word' && !columnKeywords[token.value.toUpperCase()] && !isWord(token, 'WITH')) {
+				words.push(tokens[pos++].value);
+			} else if (token.type === 'identifier' && !words.length) {
+				words.push(tokens[pos++].value);
+			} else {
+				break;
+			}
+		}
+
+		var declared = words.join(' ').toLowerCase(),
+			type = typeAliases[dialect][declared] || declared,
+			length = args[0] && /^max$/i.test(args[0]) ? -1 : (parseInt(args[0], 10) || null);
+
+		if (dialect === 'pg' && /serial/.test(declared)) {
+			column.serial = true;
+		}
+		if (dialect === 'mysql' && declared === 'serial') {
+			column.nullable = false;
+			column.autoIncrement = true;
+		}
+		//an INTEGER PRIMARY KEY is an alias of the rowid, which is assigned automatically
+		if (dialect === 'sqlite' && declared === 'integer') {
+			column.rowid = true;
+		}
+		if (dialect === 'pg' && (array || /^_/.test(declared))) {
+			type = 'ARRAY';
+		} else if (dialect === 'pg' && enums[declared]) {
+			type = 'USER-DEFINED';
+			column.enumType = declared;
+			column.enumValues = enums[declared];
+		}
+		if (dialect === 'pg' && type === 'double precision' && declared === 'float' && length && length <= 24) {
+			type = 'real';
+		}
+
+		column.type = normalizeType(type);
+		//the type as postgres names it in casts, e.g. "character varying" or the name of an enum
+		column.castType = (column.enumType || typeAliases[dialect][declared] || declared) + (array ? '[]' : '');
+
+		if (/^(decimal|numeric)$/.test(column.type)) {
+			var implicitPrecision = args.length ? [ args[0], args[1] || 0 ] : implicitPrecisions[dialect] || [];
+			column.precision = implicitPrecision[0];
+			column.scale = implicitPrecision[1];
+		} else if (/time/.test(column.type)) {
+			column.datetimePrecision = args.length ? args[0] : (implicitDatetimePrecisions[dialect] || {})[type];
+		}
+
+		if (dialect === 'sqlite') {
+			column.charLength = /char|text|clob/.test(type) ? length : null;
+		} else if (/^(n?char|character|n?varchar|character varying|binary|varbinary)$/.test(type)) {
+			column.charLength = length || (/varying|varchar|varbinary/.test(type) ? null : 1);
+		} else if (dialect === 'mysql' && type === 'enum') {
+			column.charLength = Math.max.apply(Math, args.map(function(value) { return value.length; }));
+			column.enumValues = args;
+		} else if (dialect === 'mysql' && type === 'set') {
+			column.charLength = args.join(',').length;
+			column.enumValues = args;
+		} else {
+			column.charLength = (implicitLengths[dialect] || {})[type] || null;
+		}
+	}
+
+	function readDefault(column) {
+		var start = pos,
+			depth = 0;
+
+		while (pos < tokens.length) {
+			var token = peek();
+			if (depth === 0 && pos > start && token.type === 'word' && columnKeywords[token.value.toUpperCase()]) {
+				break;
+			}
+			if (isSymbol(token, '(')) {
+				depth++;
+			} else if (isSymbol(token, ')')) {
+				depth--;
+			}
+			pos++;
+		}
+
+		var expression = tokens.slice(start, pos);
+		if (!expression.length) {
+			throw new Error('Missing default value of column ' + column.name + near(tokens[start - 1]));
+		}
+
+		var raw = text.slice(expression[0].start, expression[expression.length - 1].end),
+			literal = expression.length === 1 && expression[0].type === 'string' ||
+				expression.length === 2 && /^[NE]$/i.test(expression[0].value) && expression[1].type === 'string';
+
+		if (expression.length === 1 && isWord(expression[0], 'NULL')) {
+			column.defaultValue = null;
+		} else if (dialect === 'mysql' && literal) {
+			//mysql reports string defaults without quotes
+			column.defaultValue = unescape(expression[expression.length - 1].value);
+		} else if (dialect === 'pg' && literal) {
+			//postgres casts string literals to the type of the column, e.g. 'x'::character varying
+			column.defaultValue = raw + '::' + column.castType;
+		} else if (dialect === 'pg') {
+			//names in the public schema (on the default search path) are reported without it, e.g. by pg_dump's
+			//nextval('public.foo_id_seq'::regclass)
+			column.defaultValue = raw.replace(/'public\.([^']+)'::regclass/g, '\'$1\'::regclass');
+		} else if (dialect === 'mssql') {
+			//sql server wraps defaults in parentheses, numbers twice, e.g. ((0)) and (getdate())
+			raw = raw.replace(/^\(([\s\S]*)\)$/, '$1');
+			column.defaultValue = /^-?\d+(\.\d+)?$/.test(raw) ? '((' + raw + '))' : '(' + raw + ')';
+		} else {
+			column.defaultValue = raw;
+		}
+	}
+
+	function readColumn(table, item) {
+		var column = {
+				name: identifier(item[0]),
+				type: null,
+				nullable: true,
+				defaultValue: null,
+				charLength: null,
+				precision: null,
+				scale: null,
+				datetimePrecision: null,
+				primaryKey: false,
+				autoIncrement: false,
+				generated: false,
+				references: null,
+				description: null
+			},
+			constraintName = null;
+
+		tokens = item;
+		pos = 1;
+		readType(column);
+
+		while (pos < tokens.length) {
+			if (acceptWords('NOT', 'NULL')) {
+				column.nullable = false;
+			} else if (acceptWords('NULL')) {
+				column.nullable = true;
+			} else if (acceptWords('DEFAULT')) {
+				readDefault(column);
+			} else if (acceptWords('CONSTRAINT')) {
+				constraintName = readIdentifier();
+			} else if (acceptWords('PRIMARY', 'KEY')) {
+				table.primaryKey = [ column.name ];
+				addIndex(table, constraintName, table.primaryKey, true, true);
+			} else if (acceptWords('UNIQUE')) {
+				acceptWords('KEY');
+				addIndex(table, constraintName, [ column.name ], true, false);
+			} else if (acceptWords('REFERENCES')) {
+				readReferences(table, [ column.name ], constraintName);
+			} else if (acceptWords('IDENTITY')) {
+				column.identity = true;
+			} else if (acceptWords('COMMENT')) {
+				column.description = readString();
+			} else if (acceptWords('AUTO_INCREMENT') || acceptWords('AUTOINCREMENT')) {
+				column.autoIncrement = true;
+			} else if (acceptWords('GENERATED')) {
+				//GENERATED { ALWAYS | BY DEFAULT } AS { IDENTITY | (expression) }
+				acceptWords('ALWAYS') || acceptWords('BY', 'DEFAULT');
+				acceptWords('AS');
+				column.identity = acceptWords('IDENTITY');
+				column.generated = !column.identity;
+			} else if (isWord(peek(), 'AS') && isSymbol(peek(1), '(')) {
+				//short form of generated (computed in mssql) columns, "AS (expression)"
+				pos++;
+				column.generated = true;
+			} else if (isSymbol(peek(), '(')) {
+				readGroup(); //CHECK (...), IDENTITY(1, 1), AS (...)
+			} else {
+				pos++;
+			}
+		}
+
+		if (column.serial) {
+			column.nullable = false;
+			column.defaultValue = 'nextval(\'' + table.name + '_' + column.name + '_seq\'::regclass)';
+		}
+		if (column.identity && dialect !== 'sqlite') {
+			column.nullable = false;
+		}
+		if (column.serial || column.identity) {
+			column.autoIncrement = true;
+		}
+
+		delete column.serial;
+		delete column.identity;
+		table.columns.push(column);
+	}
+
+	//KEY, INDEX and PERIOD may also be column names, e.g. "key text"
+	function isTableConstraint(item) {
+		var word = item[0].type === 'word' ? item[0].value.toUpperCase() : null,
+			i = 1;
+
+		if (!tableConstraintKeywords[word]) {
+			return false;
+		}
+		if (word === 'PERIOD') {
+			return isWord(item[1], 'FOR');
+		}
+		if (/^(KEY|INDEX|FULLTEXT|SPATIAL)$/.test(word)) {
+			//only mysql and sql server define indexes along with the table
+			if (dialect !== 'mysql' && dialect !== 'mssql') {
+				return false;
+			}
+			if (/^(FULLTEXT|SPATIAL)$/.test(word) && (isWord(item[1], 'KEY') || isWord(item[1], 'INDEX'))) {
+				i++;
+			}
+
+			//e.g. "KEY (a)", "INDEX name (a)", "KEY name USING BTREE (a)" or "INDEX name NONCLUSTERED (a)"
+			return isSymbol(item[i], '(') || (!!item[i] && item[i].type !== 'symbol' &&
+				(isSymbol(item[i + 1], '(') || /^(USING|CLUSTERED|NONCLUSTERED)$/i.test((item[i + 1] || {}).value)));
+		}
+
+		return true;
+	}
+
+	function readTableElement(table, item) {
+		if (isTableConstraint(item)) {
+			readTableConstraint(table, item);
+		} else {
+			readColumn(table, item);
+		}
+	}
+
+	function createTable() {
+		var qualified = qualify(readName()),
+			table = {
+				name: qualified.name,
+				qualifier: qualified.qualifier,
+				columns: [],
+				primaryKey: [],
+				foreignKeys: [],
+				indexes: [],
+				description: null
+			};
+
+		if (!isSymbol(peek(), '(')) {
+			//CREATE TABLE ... AS SELECT
+			log('debug', 'DDL: skipping table ' + qualified.name + ' without column definitions');
+			return;
+		}
+
+		tables[qualified.key] = table;
+
+		var statement = tokens,
+			items = readGroup(),
+			end = pos;
+
+		items.forEach(function(item) {
+			readTableElement(table, item);
+		});
+		tokens = statement;
+		pos = end;
+
+		//mysql table options, e.g. ENGINE=InnoDB COMMENT='...'
+		while (pos < tokens.length) {
+			if (acceptWords('COMMENT')) {
+				if (isSymbol(peek(), '=')) {
+					pos++;
+				}
+				table.description = readString();
+			} else {
+				pos++;
+			}
+		}
+	}
+
+	function alterTable() {
+		acceptWords('ONLY');
+		var table = findTable(readName()),
+			statement = tokens,
+			actions = [],
+			adding = false;
+
+		if (!table) {
+			return;
+		}
+
+		//split the actions by top-level commas
+		var depth = 0,
+			current = [];
+		tokens.slice(pos).forEach(function(token) {
+			if (isSymbol(token, '(')) {
+				depth++;
+			} else if (isSymbol(token, ')')) {
+				depth--;
+			} else if (isSymbol(token, ',') && depth === 0) {
+				actions.push(current);
+				current = [];
+				return;
+			}
+			current.push(token);
+		});
+		actions.push(current);
+
+		actions.forEach(function(action) {
+			tokens = action;
+			pos = 0;
+
+			if (acceptWords('ALTER')) {
+				adding = false;
+				alterColumn(table);
+				return;
+			}
+
+			if (acceptWords('ADD')) {
+				adding = true;
+			} else if (!adding || (peek() && peek().type === 'word' && /^(DROP|ALTER|RENAME|MODIFY|CHANGE)$/i.test(peek().value))) {
+				//mssql allows "ADD a int, b int", anything else is not supported
+				adding = false;
+				log('debug', 'DDL: ignoring ALTER TABLE ' + table.name + ' ' + (peek() ? peek().value : ''));
+				return;
+			}
+
+			acceptWords('COLUMN');
+			acceptWords('IF', 'NOT', 'EXISTS');
+			if (!peek()) {
+				throw new Error('Expected a column or constraint' + near(tokens[pos - 1]));
+			}
+			readTableElement(table, tokens.slice(pos));
+		});
+
+		tokens = statement;
+	}
+
+	//ALTER [COLUMN] column { SET DEFAULT expression | DROP DEFAULT }, as pg_dump writes the defaults of serial columns
+	function alterColumn(table) {
+		acceptWords('COLUMN');
+
+		var name = readIdentifier(),
+			column = table.columns.filter(function(column) {
+				return column.name === name;
+			})[0];
+
+		if (!column) {
+			log('warn', 'DDL: column ' + table.name + '.' + name + ' has not been created');
+			return;
+		}
+
+		var wasSequence = /^nextval\(/i.test(column.defaultValue || '');
+		if (acceptWords('SET', 'DEFAULT')) {
+			readDefault(column);
+		} else if (acceptWords('DROP', 'DEFAULT')) {
+			column.defaultValue = null;
+		} else {
+			log('debug', 'DDL: ignoring ALTER COLUMN ' + table.name + '.' + name + ' ' + (peek() ? peek().value : ''));
+			return;
+		}
+
+		//postgres reports columns taking their default from a sequence as auto-incremented
+		if (dialect === 'pg' && /^nextval\(/i.test(column.defaultValue || '')) {
+			column.autoIncrement = true;
+		} else if (wasSequence) {
+			column.autoIncrement = false;
+		}
+	}
+
+	//CREATE [UNIQUE] INDEX [CONCURRENTLY] [IF NOT EXISTS] [name] [USING type] ON [ONLY] table [USING type] (columns)
+	function createIndex(unique) {
+		var name = null;
+
+		acceptWords('CONCURRENTLY');
+		acceptWords('IF', 'NOT', 'EXISTS');
+		if (!acceptWords('ON')) {
+			name = readName().pop();
+			while (peek() && !acceptWords('ON')) {
+				pos++;
+			}
+		}
+		acceptWords('ONLY');
+
+		var table = findTable(readName());
+		while (peek() && !isSymbol(peek(), '(')) {
+			pos++;
+		}
+
+		if (table && peek()) {
+			table.indexes.push({ name: name, columns: readIndexColumns(), unique: unique, primary: false, constraint: false });
+		}
+	}
+
+	//COMMENT ON { TABLE table | COLUMN table.column } IS { 'text' | NULL }
+	function commentOn() {
+		var column = acceptWords('COLUMN');
+		if (!column && !acceptWords('TABLE')) {
+			return;
+		}
+
+		var parts = readName(),
+			columnName = column ? parts.pop() : null,
+			table = findTable(parts);
+
+		if (!table || !acceptWords('IS')) {
+			return;
+		}
+
+		var description = readString();
+		if (!column) {
+			table.description = description;
+			return;
+		}
+
+		table.columns.forEach(function(tableColumn) {
+			if (tableColumn.name === columnName) {
+				tableColumn.description = description;
+			}
+		});
+	}
+
+	//EXEC sp_addextendedproperty @name = N'MS_Description', @value = N'...', @level0type = N'SCHEMA', ...
+	function addExtendedProperty() {
+		var argumentNames = [
+				'name', 'value', 'level0type', 'level0name', 'level1type', 'level1name', 'level2type', 'level2name'
+			],
+			args = {},
+			position = 0;
+
+		while (pos < tokens.length) {
+			var argumentName = argumentNames[position++];
+			if (peek().type === 'word' && peek().value.charAt(0) === '@' && isSymbol(peek(1), '=')) {
+				argumentName = peek().value.slice(1).toLowerCase();
+				pos += 2;
+			}
+
+			args[argumentName] = acceptWords('NULL') ? null : readString();
+			if (!isSymbol(peek(), ',')) {
+				break;
+			}
+			pos++;
+		}
+
+		if (args.name !== 'MS_Description' || !/^table$/i.test(args.level1type || '')) {
+			return;
+		}
+
+		var table = findTable([ args.level0name || '', args.level1name ].filter(Boolean));
+		if (!table) {
+			return;
+		}
+
+		if (!args.level2type) {
+			table.description = args.value;
+		} else if (/^column$/i.test(args.level2type)) {
+			table.columns.forEach(function(column) {
+				if (column.name === args.level2name) {
+					column.description = args.value;
+				}
+			});
+		}
+	}
+
+	tokens = tokenize(text, dialect);
+	splitStatements(tokens).forEach(function(statement) {
+		tokens = statement;
+		pos = 0;
+
+		if (acceptWords('USE')) {
+			database = database || readIdentifier();
+			return;
+		}
+
+		if (acceptWords('CREATE')) {
+			acceptWords('OR', 'REPLACE');
+			if (acceptWords('TYPE')) {
+				var typeName = readName();
+				if (acceptWords('AS', 'ENUM')) {
+					enums[typeName[typeName.length - 1]] = readGroup().map(function(item) {
+						return item[0].value;
+					});
+				}
+				return;
+			}
+
+			var unique = acceptWords('UNIQUE');
+			acceptWords('CLUSTERED') || acceptWords('NONCLUSTERED') || acceptWords('FULLTEXT') || acceptWords('SPATIAL');
+			if (acceptWords('INDEX')) {
+				createIndex(unique);
+				return;
+			}
+
+			acceptWords('GLOBAL') || acceptWords('LOCAL');
+			acceptWords('TEMPORARY') || acceptWords('TEMP') || acceptWords('UNLOGGED');
+			if (acceptWords('TABLE')) {
+				acceptWords('IF', 'NOT', 'EXISTS');
+				createTable();
+			}
+			return;
+		}
+
+		if (acceptWords('ALTER', 'TABLE')) {
+			acceptWords('IF', 'EXISTS');
+			alterTable();
+			return;
+		}
+
+		if (acceptWords('COMMENT', 'ON')) {
+			commentOn();
+			return;
+		}
+
+		if (acceptWords('EXEC') || acceptWords('EXECUTE')) {
+			var procedure = readName();
+			if (procedure[procedure.length - 1].toLowerCase() === 'sp_addextendedproperty') {
+				addExtendedProperty();
+			}
+		}
+	});
+
+	if (schemas && dialect !== 'pg' && dialect !== 'mssql') {
+		throw new Error('Multiple schemas are only supported for "pg" and "mssql"');
+	}
+
+	var selectedSchema = dialect === 'mysql' ? database : defaultSchema;
+
+	function getPrimaryKey(key) {
+		return tables[key] ? tables[key].primaryKey : [];
+	}
+
+	function compare(a, b) {
+		return a < b ? -1 : (a > b ? 1 : 0);
+	}
+
+	//the names the database gives indexes created without one
+	function getIndexes(table) {
+		var autoindexes = 0,
+			used = {},
+			indexes = [];
+
+		function uniqueName(name) {
+			var result = name;
+			for (var i = 2; used[result]; i++) {
+				result = name + '_' + i;
+			}
+			return result;
+		}
+
+		function add(index, name) {
+			used[name] = true;
+			indexes.push({ name: name, columns: index.columns, unique: index.unique, primary: index.primary });
+		}
+
+		table.indexes.forEach(function(index) {
+			if (!index.columns.length) {
+				return;
+			}
+
+			switch (dialect) {
+				case 'pg':
+					add(index, index.name || table.name + '_' +
+						(index.primary ? 'pkey' : index.columns.join('_') + (index.unique ? '_key' : '_idx')));
+					break;
+				case 'mysql':
+					add(index, index.primary ? 'PRIMARY' : index.name || uniqueName(index.columns[0]));
+					break;
+				case 'sqlite':
+					//the rowid alias needs no index
+					if (index.primary && table.rowidAlias) {
+						return;
+					}
+					add(index, index.constraint ? 'sqlite_autoindex_' + table.name + '_' + ++autoindexes : index.name);
+					break;
+				default:
+					add(index, index.name);
+			}
+		});
+
+		//mysql creates an index for each foreign key unless another index starts with its columns
+		if (dialect === 'mysql') {
+			table.foreignKeys.forEach(function(foreignKey) {
+				var covered = indexes.some(function(index) {
+					return foreignKey.columns.every(function(column, i) {
+						return index.columns[i] === column;
+					});
+				});
+
+				if (!covered) {
+					add({ columns: foreignKey.columns, unique: false, primary: false },
+						foreignKey.indexName || uniqueName(foreignKey.columns[0]));
+				}
+			});
+		}
+
+		return indexes.sort(function(a, b) {
+			return compare(a.name || '', b.name || '');
+		});
+	}
+
+	var model = {
+		dialect: dialect,
+		database: database,
+		schema: schemas ? null : schema || (dialect === 'pg' ? 'public' : null),
+		tables: Object.keys(tables)
+			.map(function(key) {
+				return tables[key];
+			})
+			.filter(function(table) {
+				if (schemas) {
+					return !schemas.length || schemas.indexOf(table.qualifier) !== -1;
+				}
+				return !selectedSchema || table.qualifier === selectedSchema;
+			})
+			.sort(function(a, b) {
+				return (schemas && compare(a.qualifier, b.qualifier)) || compare(a.name, b.name);
+			})
+			.map(function(table) {
+				table.columns.forEach(function(column) {
+					if (table.primaryKey.indexOf(column.name) !== -1) {
+						column.primaryKey = true;
+						column.nullable = false;
+						if (column.rowid && table.primaryKey.length === 1) {
+							column.autoIncrement = true;
+							table.rowidAlias = true;
+						}
+					}
+
+					delete column.rowid;
+					delete column.castType;
+					introspect.normalizeMetadata(column);
+
+					table.foreignKeys.forEach(function(foreignKey) {
+						var index = foreignKey.columns.indexOf(column.name);
+						if (index === -1 || column.references) {
+							return;
+						}
+
+						//references without columns refer to the primary key
+						var referencedColumns = foreignKey.referencedColumns || getPrimaryKey(foreignKey.key);
+						column.references = {
+							constraintName: foreignKey.constraintName,
+							table: foreignKey.table,
+							column: referencedColumns[index] || null
+						};
+						//tables of different schemas may share a name
+						if (schemas) {
+							column.references.schema = foreignKey.schema;
+						}
+					});
+				});
+
+				return schemas ?
+					{
+						schema: table.qualifier, name: table.name, description: table.description,
+						columns: table.columns, indexes: getIndexes(table)
+					} :
+					{ name: table.name, description: table.description, columns: table.columns, indexes: getIndexes(table) };
+			})
+	};
+
+	if (schemas) {
+		model.schemas = schemas.length ? schemas : model.tables
+			.map(function(table) { return table.schema; })
+			.filter(function(schema, i, list) { return list.indexOf(schema) === i; });
+	}
+
+	return model;
+}
+
+/**
+ * Reads a SQL script and parses it with parse()
+ *
+ * @param {String} file
+ * @param {Object} options Same as for parse(), the database defaults to the name of the file
+ * @param {Function} callback Receives an error or the model
+ */
+function load(file, options, callback) {
+	if (!options.dialect) {
+		callback(new Error('options.dialect is required'));
+		return;
+	}
+	if (!typeAliases[options.dialect]) {
+		callback(new Error('options.dialect must be either "mysql", "pg", "mssql" or "sqlite"'));
+		return;
+	}
+
+	fs.readFile(file, 'utf8', function(err, text) {
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		var model;
+		try {
+			model = parse(text, options);
+		} catch (e) {
+			callback(new Error('Unable to parse "' + file + '": ' + e.message));
+			return;
+		}
+
+		model.database = model.database || path.basename(file, path.extname(file));
+		callback(null, model);
+	});
+}
+
+exports.parse = parse;
+exports.load = load;
@@ -0,0 +1,191 @@
+var fs = require('fs'),
+	async = require('async'),
+	util = require('util'),
+	introspect = require('./introspect'),
+	snapshot = require('./snapshot');
+
+//column properties whose changes are reported
+var comparedProperties = [
+	'type', 'nullable', 'charLength', 'defaultValue', 'precision', 'scale', 'datetimePrecision',
+	'autoIncrement', 'generated', 'enumValues', 'description'
+];
+
+//values of properties missing from snapshots written before the property existed
+var missingValues = { autoIncrement: false, generated: false };
+
+function getValue(column, property) {
+	if (column[property] !== undefined) {
+		return column[property];
+	}
+
+	return missingValues.hasOwnProperty(property) ? missingValues[property] : null;
+}
+
+//tables of multiple schemas are keyed by "schema.table"
+function getKey(item) {
+	return item.schema ? item.schema + '.' + item.name : item.name;
+}
+
+function indexByName(list) {
+	var index = {};
+	list.forEach(function(item) {
+		index[getKey(item)] = item;
+	});
+	return index;
+}
+
+/**
+ * Compares two models created by introspect()
+ *
+ * @param {Object} from
+ * @param {Object} to
+ * @return {Array} The added, removed and changed tables and columns, empty if both models are the same
+ */
+function compareModels(from, to) {
+	var fromTables = indexByName(from.tables),
+		toTables = indexByName(to.tables),
+		differences = [];
+
+	from.tables.forEach(function(table) {
+		if (!toTables[getKey(table)]) {
+			differences.push({ change: 'removed', table: getKey(table) });
+		}
+	});
+
+	to.tables.forEach(function(table) {
+		var tableName = getKey(table);
+		if (!fromTables[tableName]) {
+			differences.push({ change: 'added', table: tableName });
+			return;
+		}
+
+		var fromColumns = indexByName(fromTables[tableName].columns),
+			toColumns = indexByName(table.columns);
+
+		fromTables[tableName].columns.forEach(function(column) {
+			if (!toColumns[column.name]) {
+				differences.push({ change: 'removed', table: tableName, column: column.name });
+			}
+		});
+
+		table.columns.forEach(function(column) {
+			var fromColumn = fromColumns[column.name];
+			if (!fromColumn) {
+				differences.push({ change: 'added', table: tableName, column: column.name });
+				return;
+			}
+
+			comparedProperties.forEach(function(property) {
+				var fromValue = getValue(fromColumn, property),
+					toValue = getValue(column, property);
+
+				//enum values are arrays
+				if (JSON.stringify(fromValue) !== JSON.stringify(toValue)) {
+					differences.push({
+						change: 'changed',
+						table: tableName,
+						column: column.name,
+						property: property,
+						from: fromValue,
+						to: toValue
+					});
+				}
+			});
+		});
+	});
+
+	return differences;
+}
+
+/**
+ * Turns differences returned by compareModels() into a human-readable report
+ *
+ * @param {Array} differences
+ * @param {String} [eol] Defaults to "\n"
+ * @return {String}
+ */
+function format(differences, eol) {
+	var symbols = { added: '+ ', removed: '- ', changed: '~ ' },
+		lines = [],
+		table = null;
+
+	if (!differences.length) {
+		return 'No differences';
+	}
+
+	differences.forEach(function(difference) {
+		if (!difference.column) {
+			table = null;
+			lines.push(symbols[difference.change] + 'table ' + difference.table);
+			return;
+		}
+
+		if (difference.table !== table) {
+			table = difference.table;
+			lines.push(symbols.changed + 'table ' + table);
+		}
+
+		var line = '    ' + symbols[difference.change] + 'column ' + difference.column;
+		if (difference.property) {
+			line += ': ' + difference.property + ' ' + JSON.stringify(difference.from) +
+				' -> ' + JSON.stringify(difference.to);
+		}
+		lines.push(line);
+	});
+
+	return lines.join(eol || '\n');
+}
+
+/**
+ * Reads a model from a snapshot file, or introspects it from a database
+ *
+ * @param {Object|String} source A model, the path to a snapshot, or a DSN
+ * @param {Object} options Passed on to introspect()
+ * @param {Function} callback Receives an error or the model
+ */
+function load(source, options, callback) {
+	if (typeof(source) === 'object') {
+		process.nextTick(function() {
+			callback(null, source);
+		});
+		return;
+	}
+
+	if (/\.json$/i.test(source) && fs.existsSync(source)) {
+		snapshot.load(source, callback);
+		return;
+	}
+
+	//the DSN is connected to even if options.client is given for the other source
+	introspect(util._extend(util._extend({}, options), { dsn: source, client: null }), callback);
+}
+
+/**
+ * Compares two sources, each of which is either a model, the path to a snapshot or a DSN
+ *
+ * @param {Object|String} from
+ * @param {Object|String} to
+ * @param {Object} [options] Passed on to introspect() for DSNs (e.g. options.dialect, options.database)
+ * @param {Function} callback Receives an error or the differences
+ */
+function diff(from, to, options, callback) {
+	if (typeof(options) === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	async.mapSeries([ from, to ], function(source, next) {
+		load(source, options || {}, next);
+	}, function(err, models) {
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		callback(null, compareModels(models[0], models[1]));
+	});
+}
+
+module.exports = diff;
+module.exports.compareModels = compareModels;
+module.exports.format = format;
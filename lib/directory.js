@@ -0,0 +1,226 @@
+var fs = require('fs'),
+	path = require('path'),
+	async = require('async'),
+	util = require('util'),
+	info = require('../package.json'),
+	naming = require('./naming'),
+	render = require('./render'),
+	jsonSchema = require('./json-schema');
+
+//files that may have been written by writeDirectory() in each format
+var generatedFilePatterns = {
+	js: /\.(d\.ts|js)$/,
+	'json-schema': /\.json$/
+};
+
+/**
+ * Whether a file was generated by us, i.e. carries the autogenerated comment
+ *
+ * @param {String} contents
+ * @return {Boolean}
+ */
+function isGenerated(contents) {
+	return contents.indexOf('// autogenerated by ' + info.name + ' ') !== -1 ||
+		contents.indexOf('"$comment": "autogenerated by ' + info.name + ' ') !== -1;
+}
+
+//creates a directory along with its parents (fs.mkdir() only does so as of node 10.12)
+function makeDirectory(dir, callback) {
+	fs.mkdir(dir, function(err) {
+		if (!err || err.code === 'EEXIST') {
+			callback();
+			return;
+		}
+		if (err.code !== 'ENOENT' || path.dirname(dir) === dir) {
+			callback(err);
+			return;
+		}
+
+		makeDirectory(path.dirname(dir), function(err) {
+			if (err) {
+				callback(err);
+				return;
+			}
+
+			makeDirectory(dir, callback);
+		});
+	});
+}
+
+/**
+ * Returns the file TypeScript declarations are written to next to an output file, e.g. "tables.d.ts" for "tables.js"
+ * and "tables.d.mts" for "tables.mjs"
+ *
+ * @param {String} outputFile
+ * @return {String}
+ */
+function getDeclarationsFile(outputFile) {
+	var match = /\.([cm]?)js$/.exec(outputFile);
+	return outputFile.replace(/\.[cm]?js$/, '') + '.d.' + (match ? match[1] : '') + 'ts';
+}
+
+/**
+ * Renders the modules written by writeDirectory()
+ *
+ * @param {Object} model
+ * @param {Object} options Same as for writeDirectory()
+ * @return {Object} The contents of each module keyed by file name
+ * @throws {Error} If a table would overwrite the index, or the model has multiple schemas
+ */
+function renderFiles(model, options) {
+	var files = {};
+
+	if (model.schemas) {
+		throw new Error('options.outputDir does not support multiple schemas');
+	}
+
+	var names = render.getExportNames(model.tables, naming.resolve(options).table);
+
+	//one JSON schema document per table, without an index
+	if (options.format === 'json-schema') {
+		model.tables.forEach(function(table, i) {
+			files[names[i] + '.json'] = jsonSchema.table(table, options, model.dialect);
+		});
+
+		return files;
+	}
+
+	model.tables.forEach(function(table, i) {
+		var name = names[i],
+			tableModel = util._extend({}, model);
+
+		tableModel.tables = [ table ];
+		files[name + '.js'] = render(tableModel, options);
+		if (options.declarations) {
+			files[name + '.d.ts'] = render.declarations(tableModel, options);
+		}
+	});
+
+	if (files['index.js']) {
+		throw new Error('Table "index" conflicts with the generated index.js');
+	}
+
+	files['index.js'] = render.index(model, options);
+	if (options.declarations) {
+		//the index exports the same names as a single output file would
+		files['index.d.ts'] = render.declarations(model, options);
+	}
+
+	return files;
+}
+
+/**
+ * Lists the files in a directory that look like modules (or JSON schemas) but are not part of the rendered files
+ *
+ * @param {String} dir
+ * @param {Object} files As returned by renderFiles()
+ * @param {Object} options Same as for writeDirectory()
+ * @param {Function} callback Receives an error or the file names
+ */
+function findStaleFiles(dir, files, options, callback) {
+	var pattern = generatedFilePatterns[options.format || 'js'];
+
+	fs.readdir(dir, function(err, entries) {
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		callback(null, entries.filter(function(file) {
+			return pattern.test(file) && !files.hasOwnProperty(file);
+		}));
+	});
+}
+
+/**
+ * Writes one module per table and an index module re-exporting all of them to options.outputDir (one JSON schema
+ * per table for the "json-schema" format).
+ * Modules of tables that no longer exist are removed if they were generated by us, and only
+ * reported otherwise.
+ *
+ * @param {Object} model
+ * @param {Object} options Same as for render(), plus options.outputDir, options.declarations,
+ * options.encoding, options.mode and options.log
+ * @param {Function} callback Receives an error or { files, removed, stale, bytesWritten }
+ */
+function writeDirectory(model, options, callback) {
+	var log = options.log || function() {},
+		dir = options.outputDir,
+		result = {
+			files: [],
+			removed: [],
+			stale: [],
+			bytesWritten: 0
+		},
+		files;
+
+	try {
+		files = renderFiles(model, options);
+	} catch (e) {
+		callback(e);
+		return;
+	}
+
+	function createDir(next) {
+		makeDirectory(dir, next);
+	}
+
+	function writeFiles(next) {
+		async.eachSeries(Object.keys(files), function(file, next) {
+			var buffer = new Buffer(files[file], options.encoding);
+			fs.writeFile(path.join(dir, file), buffer, { mode: options.mode }, function(err) {
+				if (!err) {
+					result.files.push(file);
+					result.bytesWritten += buffer.length;
+				}
+
+				next(err);
+			});
+		}, next);
+	}
+
+	function removeStaleFiles(next) {
+		findStaleFiles(dir, files, options, function(err, stale) {
+			if (err) {
+				next(err);
+				return;
+			}
+
+			async.eachSeries(stale, function(file, next) {
+				var fullPath = path.join(dir, file);
+				fs.readFile(fullPath, options.encoding, function(err, contents) {
+					if (err) {
+						next(err);
+						return;
+					}
+
+					//without the autogenerated comment we cannot be sure the file is ours
+					if (!isGenerated(contents)) {
+						log('warn', 'Not removing ' + fullPath + ', which was not generated by ' + info.name);
+						result.stale.push(file);
+						next();
+						return;
+					}
+
+					log('info', 'Removing stale file ' + fullPath);
+					result.removed.push(file);
+					fs.unlink(fullPath, next);
+				});
+			}, next);
+		});
+	}
+
+	async.series([
+		createDir,
+		writeFiles,
+		removeStaleFiles
+	], function(err) {
+		callback(err, result);
+	});
+}
+
+module.exports = writeDirectory;
+module.exports.renderFiles = renderFiles;
+module.exports.findStaleFiles = findStaleFiles;
+module.exports.getDeclarationsFile = getDeclarationsFile;
+module.exports.isGenerated = isGenerated;
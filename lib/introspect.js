@@ -0,0 +1,1223 @@
+var path = require('path'),
+	util = require('util'),
+	async = require('async'),
+	sql = require('sql');
+
+//maps each dialect to the name of its driver module
+var supportedDialects = {
+	mysql: 'mysql',
+	pg: 'pg',
+	mssql: 'mssql',
+	sqlite: 'sqlite3'
+};
+
+/**
+ * Shortens the type names reported by information_schema
+ *
+ * @param {String} type
+ * @return {String}
+ */
+function normalizeType(type) {
+	switch (type) {
+		case 'character varying':
+			return 'varchar';
+		case 'character':
+			return 'char';
+		case 'integer':
+			return 'int';
+		default:
+			return type;
+	}
+}
+
+/**
+ * Reads the values of a MySQL ENUM or SET column from its COLUMN_TYPE, e.g. "enum('a','b')"
+ *
+ * @param {String} columnType
+ * @return {String[]|null} The values, or null if the column is neither an ENUM nor a SET
+ */
+function parseEnumValues(columnType) {
+	var match = /^\s*(?:enum|set)\s*\((.*)\)\s*$/i.exec(columnType || ''),
+		values = [],
+		valuePattern = /'((?:[^'\\]|''|\\.)*)'/g,
+		value;
+
+	if (!match) {
+		return null;
+	}
+
+	while ((value = valuePattern.exec(match[1]))) {
+		values.push(value[1].replace(/''/g, '\'').replace(/\\(.)/g, '$1'));
+	}
+
+	return values;
+}
+
+//drivers return some numbers as strings (e.g. bigint columns of information_schema)
+function toNumber(value) {
+	var number = parseInt(value, 10);
+	return isNaN(number) ? null : number;
+}
+
+/**
+ * Makes the metadata of a column consistent across dialects: precision and scale are only kept for
+ * exact numerics and the fractional seconds precision only for times, since dialects report
+ * different values for e.g. integers and dates
+ *
+ * @param {Object} column With the normalized type
+ * @return {Object} The column
+ */
+function normalizeMetadata(column) {
+	var exact = /^(decimal|numeric)$/.test(column.type),
+		time = /time/.test(column.type);
+
+	column.charLength = toNumber(column.charLength);
+	column.precision = exact ? toNumber(column.precision) : null;
+	column.scale = exact ? toNumber(column.scale) : null;
+	column.datetimePrecision = time ? toNumber(column.datetimePrecision) : null;
+	column.autoIncrement = !!column.autoIncrement;
+	column.generated = !!column.generated;
+
+	return column;
+}
+
+/**
+ * Groups index columns into indexes, sorted by name
+ *
+ * @param {Object[]} rows { name, columnName, unique, primary }, the columns of an index in key order
+ * @return {Object[]} { name, columns, unique, primary }
+ */
+function groupIndexes(rows) {
+	var indexes = [],
+		byName = {};
+
+	rows.forEach(function(row) {
+		var index = byName[row.name];
+		if (!index) {
+			index = byName[row.name] = {
+				name: row.name,
+				columns: [],
+				unique: !!row.unique || !!row.primary,
+				primary: !!row.primary
+			};
+			indexes.push(index);
+		}
+
+		//expressions have no column
+		if (row.columnName) {
+			index.columns.push(row.columnName);
+		}
+	});
+
+	return indexes
+		.filter(function(index) { return index.columns.length > 0; })
+		.sort(function(a, b) { return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0); });
+}
+
+/**
+ * Detects the dialect of a DSN from its scheme (e.g. "postgres://..."), or from the extension of a sqlite
+ * database file
+ *
+ * @param {String} dsn
+ * @return {String|null} Either "mysql", "pg", "mssql" or "sqlite", or null if the DSN does not tell
+ */
+function getDialect(dsn) {
+	var match = /^(mysql|postgres(?:ql)?|mssql|sqlite):/i.exec(dsn || '');
+
+	if (match) {
+		return /^postgres/i.test(match[1]) ? 'pg' : match[1].toLowerCase();
+	}
+
+	return /\.(db|sqlite3?)$/i.test(dsn || '') ? 'sqlite' : null;
+}
+
+//schemas holding the system catalogs, skipped by options.allSchemas
+var systemSchemas = {
+	pg: [ 'pg_catalog', 'information_schema' ],
+	mssql: [ 'INFORMATION_SCHEMA', 'sys' ]
+};
+
+/**
+ * Reads the schemas to extract from options.schema, which may be a comma-delimited list or an array
+ *
+ * @param {Object} options
+ * @param {String|String[]} [options.schema]
+ * @param {Boolean} [options.allSchemas]
+ * @return {String[]|null} The schemas (empty for options.allSchemas) if more than one schema is extracted,
+ * otherwise null
+ */
+function parseSchemas(options) {
+	var schemas = Array.isArray(options.schema) ? options.schema : (options.schema || '').split(',');
+
+	schemas = schemas
+		.map(function(schema) { return schema.trim(); })
+		.filter(function(schema) { return !!schema; });
+
+	if (options.allSchemas) {
+		return [];
+	}
+
+	return schemas.length > 1 ? schemas : null;
+}
+
+/**
+ * Reads the tables and columns of a database into a plain object:
+ *
+ *   {
+ *     dialect: 'pg', database: 'postgres', schema: 'public',
+ *     tables: [ {
+ *       name: 'foo',
+ *       description: 'Comment of the table, or null',
+ *       columns: [ { name: 'id', type: 'int', nullable: false, ... } ],
+ *       indexes: [ { name: 'foo_pkey', columns: [ 'id' ], unique: true, primary: true } ]
+ *     } ]
+ *   }
+ *
+ * When extracting multiple schemas, model.schema is null, model.schemas lists the schemas and each
+ * table has a schema property.
+ *
+ * @param {Object} options
+ * @param {String} options.dialect Either "mysql", "pg", "mssql" or "sqlite"
+ * @param {String} options.dsn The DSN to use to connect to the database (the path to the database file for sqlite)
+ * @param {Object} [options.client] A connected client or pool (mysql connection or pool, pg client or pool, mssql
+ * connection pool or sqlite3 database) to use instead of connecting to options.dsn; it is neither configured nor
+ * closed, only connections opened from options.dsn are
+ * @param {String} [options.database] The name of the database to extract from, if it is not part of the DSN
+ * @param {String|String[]} [options.schema] The name of the schema to extract from, or a comma-delimited
+ * list of schemas (pg and mssql only)
+ * @param {Boolean} [options.allSchemas] Extract all schemas except the system catalogs (pg and mssql only)
+ * @param {RegExp[]} [options.includeRegex] Only extract tables matching one of these
+ * @param {RegExp[]} [options.excludeRegex] Skip tables matching any of these
+ * @param {Function} [options.log] Logging function
+ * @param {Function} callback Receives an error or the model
+ */
+module.exports = function(options, callback) {
+	options = util._extend({}, options);
+
+	if (!options.dsn && !options.client) {
+		callback(new Error('options.dsn or options.client is required'));
+		return;
+	}
+	if (!options.dialect) {
+		options.dialect = getDialect(options.dsn);
+		if (!options.dialect) {
+			callback(new Error('options.dialect is required'));
+			return;
+		}
+	}
+
+	options.dialect = options.dialect.toLowerCase();
+
+	if (!supportedDialects[options.dialect]) {
+		callback(new Error('options.dialect must be either "mysql", "pg", "mssql" or "sqlite"'));
+		return;
+	}
+
+	var schemas = parseSchemas(options);
+	if (schemas) {
+		if (!systemSchemas[options.dialect]) {
+			callback(new Error('Multiple schemas are only supported for "pg" and "mssql"'));
+			return;
+		}
+		options.schema = null;
+	} else if (Array.isArray(options.schema)) {
+		options.schema = options.schema[0];
+	}
+
+	function rawQuery(text, values) {
+		return {
+			toQuery: function() {
+				return { text: text, values: values || [] };
+			}
+		};
+	}
+
+	function quoteMssql(name) {
+		return '[' + name.replace(/]/g, ']]') + ']';
+	}
+
+	function quoteSqlite(name) {
+		return '"' + name.replace(/"/g, '""') + '"';
+	}
+
+	function runQuery(query, callback) {
+		query = query.toQuery();
+		log('debug', 'QUERY: ' + query.text + ' :: ' + util.inspect(query.values));
+		switch (options.dialect) {
+			case 'mysql':
+				client.query(query.text, query.values, callback);
+				break;
+			case 'pg':
+				client.query(query.text, query.values, function(err, result) {
+					callback(err, result && result.rows);
+				});
+				break;
+			case 'mssql':
+				var req = client.request();
+
+				query.values.map(function(value, index) {
+					req.input(index + 1, value);
+				});
+
+		  req.query(query.text, (err, result) => {
+                      callback(err, !err && result.recordset);
+                  });
+		  break;
+			case 'sqlite':
+				client.all(query.text, query.values, callback);
+				break;
+		}
+	}
+
+	function getSchemaCondition(defaultSchema) {
+		if (!schemas) {
+			return tables.schema.equals(options.schema || defaultSchema);
+		}
+
+		return schemas.length ? tables.schema.in(schemas) : tables.schema.notIn(systemSchemas[options.dialect]);
+	}
+
+	function getListOfTables(callback) {
+		//sqlite_master has no schema
+		var query = (options.dialect === 'sqlite' ?
+			tables.select(tables.name.as('name')) :
+			tables.select(tables.name.as('name'), tables.schema.as('schema'))
+		).from(tables);
+
+		switch (options.dialect) {
+			case 'mysql':
+				query = query.where(tables.schema.equals(options.database));
+				break;
+			case 'pg':
+				query = query
+					.where(getSchemaCondition('public'))
+					.and(tables.catalog.equals(options.database));
+				break;
+			case 'mssql':
+				query = query
+					.where(getSchemaCondition('dbo'))
+					.and(tables.catalog.equals(options.database))
+					.and(tables.type.equals('BASE TABLE'))
+					.and(tables.name.notEquals('sysdiagrams')); //disconsider views
+				break;
+			case 'sqlite':
+				query = query
+					.where(tables.type.equals('table'))
+					.and(tables.name.notLike('sqlite_%')); //internal tables
+				break;
+		}
+
+		query = schemas ? query.order(tables.schema, tables.name) : query.order(tables.name);
+
+		runQuery(query, function(err, rows) {
+			if (err) {
+				callback(err);
+				return;
+			}
+		  callback(null, rows.map(function(row) {
+                    if (options.includeRegex || options.excludeRegex) {
+                      if (options.includeRegex) {
+                        if (options.includeRegex.some(function(re) { return row.name.match(re) !== null; })) {
+			  // don't return excluded tables
+			  if (options.excludeRegex &&
+			      !options.excludeRegex.every(function(re) { return row.name.match(re) === null; })) {
+			    return undefined;
+			  } else {
+			    return row;
+			  }
+                        } else {
+			  return undefined;
+                        }
+                      } else if (options.excludeRegex) {
+			if (!options.excludeRegex.every(function(re) { return row.name.match(re) === null; })) {
+			  return undefined;
+		        } else {
+			  return row;
+		        }
+                      } else {
+			return undefined;
+                      }
+                    } else {
+		      return row;
+		    }
+		  }).filter(function(r) { return r !== undefined; }));
+		});
+	}
+
+	function parseSqliteColumn(col) {
+		//sqlite only knows the declared type, e.g. "VARCHAR(30)"
+		var match = /^\s*(.*?)\s*(?:\(\s*(\d+)\s*(?:,\s*(\d+)\s*)?\))?\s*$/.exec(col.type || ''),
+			type = match[1].toLowerCase();
+
+		return {
+			name: col.name,
+			//primary keys are reported as nullable unless declared NOT NULL
+			nullable: col.notnull || col.pk > 0 ? 'NO' : 'YES',
+			defaultValue: col.dflt_value,
+			charLength: /char|text|clob/.test(type) && match[2] ? parseInt(match[2], 10) : null,
+			precision: match[2] || null,
+			scale: match[2] ? match[3] || 0 : null,
+			datetimePrecision: match[2] || null,
+			type: type,
+			declaredType: type,
+			primaryKey: col.pk > 0,
+			//2 and 3 are virtual and stored generated columns
+			generated: col.hidden === 2 || col.hidden === 3
+		};
+	}
+
+	function getListOfPrimaryKeyColumns(schema, tableName, callback) {
+		var query;
+		switch (options.dialect) {
+			case 'mysql':
+				query = rawQuery(
+					'SELECT k.COLUMN_NAME AS name ' +
+					'FROM information_schema.TABLE_CONSTRAINTS t ' +
+					'INNER JOIN information_schema.KEY_COLUMN_USAGE k ' +
+						'ON k.CONSTRAINT_SCHEMA = t.CONSTRAINT_SCHEMA ' +
+						'AND k.CONSTRAINT_NAME = t.CONSTRAINT_NAME ' +
+						'AND k.TABLE_NAME = t.TABLE_NAME ' +
+					'WHERE t.CONSTRAINT_TYPE = \'PRIMARY KEY\' AND t.TABLE_SCHEMA = ? AND t.TABLE_NAME = ? ' +
+					'ORDER BY k.ORDINAL_POSITION',
+					[ options.database, tableName ]
+				);
+				break;
+			case 'pg':
+				query = rawQuery(
+					'SELECT a.attname AS name ' +
+					'FROM pg_index i ' +
+					'INNER JOIN pg_class c ON c.oid = i.indrelid ' +
+					'INNER JOIN pg_namespace n ON n.oid = c.relnamespace ' +
+					'INNER JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum = ANY(i.indkey) ' +
+					'WHERE i.indisprimary AND n.nspname = $1 AND c.relname = $2',
+					[ schema, tableName ]
+				);
+				break;
+			case 'mssql':
+				var catalog = quoteMssql(options.database) + '.sys.';
+				query = rawQuery(
+					'SELECT c.name AS name ' +
+					'FROM ' + catalog + 'indexes i ' +
+					'INNER JOIN ' + catalog + 'index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id ' +
+					'INNER JOIN ' + catalog + 'columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id ' +
+					'INNER JOIN ' + catalog + 'tables t ON t.object_id = i.object_id ' +
+					'INNER JOIN ' + catalog + 'schemas s ON s.schema_id = t.schema_id ' +
+					'WHERE i.is_primary_key = 1 AND s.name = @1 AND t.name = @2 ' +
+					'ORDER BY ic.key_ordinal',
+					[ schema || 'dbo', tableName ]
+				);
+				break;
+		}
+
+		runQuery(query, function(err, rows) {
+			callback(err, rows && rows.map(function(row) {
+				return row.name;
+			}));
+		});
+	}
+
+	//information_schema does not know about identity and computed columns in mssql
+	function getListOfMssqlColumnFlags(schema, tableName, callback) {
+		var catalog = quoteMssql(options.database) + '.sys.',
+			query = rawQuery(
+				'SELECT c.name AS name, c.is_identity AS isIdentity, c.is_computed AS isComputed ' +
+				'FROM ' + catalog + 'columns c ' +
+				'INNER JOIN ' + catalog + 'tables t ON t.object_id = c.object_id ' +
+				'INNER JOIN ' + catalog + 'schemas s ON s.schema_id = t.schema_id ' +
+				'WHERE s.name = @1 AND t.name = @2',
+				[ schema || 'dbo', tableName ]
+			);
+
+		runQuery(query, callback);
+	}
+
+	function getListOfSqliteForeignKeys(tableName, callback) {
+		runQuery(rawQuery('PRAGMA foreign_key_list(' + quoteSqlite(tableName) + ')'), function(err, rows) {
+			if (err) {
+				callback(err);
+				return;
+			}
+
+			//"to" is null when the key references the primary key of the other table implicitly
+			async.mapSeries(rows, function(row, next) {
+				var foreignKey = {
+					constraintName: null,
+					name: row.from,
+					referencedTable: row.table,
+					referencedColumn: row.to
+				};
+
+				if (row.to) {
+					next(null, foreignKey);
+					return;
+				}
+
+				runQuery(rawQuery('PRAGMA table_info(' + quoteSqlite(row.table) + ')'), function(err, columnData) {
+					if (err) {
+						next(err);
+						return;
+					}
+
+					columnData.forEach(function(col) {
+						if (col.pk === row.seq + 1) {
+							foreignKey.referencedColumn = col.name;
+						}
+					});
+
+					next(null, foreignKey);
+				});
+			}, callback);
+		});
+	}
+
+	function getListOfForeignKeys(schema, tableName, callback) {
+		var query;
+		switch (options.dialect) {
+			case 'mysql':
+				query = rawQuery(
+					'SELECT CONSTRAINT_NAME AS constraintName, COLUMN_NAME AS name, ' +
+						'REFERENCED_TABLE_NAME AS referencedTable, REFERENCED_COLUMN_NAME AS referencedColumn ' +
+					'FROM information_schema.KEY_COLUMN_USAGE ' +
+					'WHERE REFERENCED_TABLE_NAME IS NOT NULL AND TABLE_SCHEMA = ? AND TABLE_NAME = ? ' +
+					'ORDER BY CONSTRAINT_NAME, ORDINAL_POSITION',
+					[ options.database, tableName ]
+				);
+				break;
+			case 'pg':
+				query = rawQuery(
+					'SELECT con.conname AS "constraintName", a.attname AS name, rn.nspname AS "referencedSchema", ' +
+						'rc.relname AS "referencedTable", ra.attname AS "referencedColumn" ' +
+					'FROM pg_constraint con ' +
+					'INNER JOIN pg_class c ON c.oid = con.conrelid ' +
+					'INNER JOIN pg_namespace n ON n.oid = c.relnamespace ' +
+					'INNER JOIN pg_class rc ON rc.oid = con.confrelid ' +
+					'INNER JOIN pg_namespace rn ON rn.oid = rc.relnamespace ' +
+					'CROSS JOIN LATERAL unnest(con.conkey, con.confkey) WITH ORDINALITY AS k(attnum, refattnum, position) ' +
+					'INNER JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum ' +
+					'INNER JOIN pg_attribute ra ON ra.attrelid = con.confrelid AND ra.attnum = k.refattnum ' +
+					'WHERE con.contype = \'f\' AND n.nspname = $1 AND c.relname = $2 ' +
+					'ORDER BY con.conname, k.position',
+					[ schema, tableName ]
+				);
+				break;
+			case 'mssql':
+				var catalog = quoteMssql(options.database) + '.sys.';
+				query = rawQuery(
+					'SELECT fk.name AS constraintName, c.name AS name, rs.name AS referencedSchema, ' +
+						'rt.name AS referencedTable, rc.name AS referencedColumn ' +
+					'FROM ' + catalog + 'foreign_key_columns fkc ' +
+					'INNER JOIN ' + catalog + 'foreign_keys fk ON fk.object_id = fkc.constraint_object_id ' +
+					'INNER JOIN ' + catalog + 'tables t ON t.object_id = fkc.parent_object_id ' +
+					'INNER JOIN ' + catalog + 'schemas s ON s.schema_id = t.schema_id ' +
+					'INNER JOIN ' + catalog + 'columns c ON c.object_id = fkc.parent_object_id AND c.column_id = fkc.parent_column_id ' +
+					'INNER JOIN ' + catalog + 'tables rt ON rt.object_id = fkc.referenced_object_id ' +
+					'INNER JOIN ' + catalog + 'schemas rs ON rs.schema_id = rt.schema_id ' +
+					'INNER JOIN ' + catalog + 'columns rc ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id ' +
+					'WHERE s.name = @1 AND t.name = @2 ' +
+					'ORDER BY fk.name, fkc.constraint_column_id',
+					[ schema || 'dbo', tableName ]
+				);
+				break;
+			case 'sqlite':
+				getListOfSqliteForeignKeys(tableName, callback);
+				return;
+		}
+
+		runQuery(query, callback);
+	}
+
+	function getListOfSqliteIndexes(tableName, callback) {
+		runQuery(rawQuery('PRAGMA index_list(' + quoteSqlite(tableName) + ')'), function(err, indexList) {
+			if (err) {
+				callback(err);
+				return;
+			}
+
+			async.mapSeries(indexList, function(index, next) {
+				runQuery(rawQuery('PRAGMA index_info(' + quoteSqlite(index.name) + ')'), function(err, rows) {
+					next(err, rows && rows.sort(function(a, b) {
+						return a.seqno - b.seqno;
+					}).map(function(row) {
+						return {
+							name: index.name,
+							columnName: row.name,
+							unique: index.unique,
+							primary: index.origin === 'pk'
+						};
+					}));
+				});
+			}, function(err, rows) {
+				callback(err, rows && [].concat.apply([], rows));
+			});
+		});
+	}
+
+	function getListOfIndexes(schema, tableName, callback) {
+		var query;
+		switch (options.dialect) {
+			case 'mysql':
+				query = rawQuery(
+					'SELECT INDEX_NAME AS name, COLUMN_NAME AS columnName, NON_UNIQUE = 0 AS `unique`, ' +
+						'INDEX_NAME = \'PRIMARY\' AS `primary` ' +
+					'FROM information_schema.STATISTICS ' +
+					'WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? ' +
+					'ORDER BY INDEX_NAME, SEQ_IN_INDEX',
+					[ options.database, tableName ]
+				);
+				break;
+			case 'pg':
+				query = rawQuery(
+					'SELECT ic.relname AS name, a.attname AS "columnName", ' +
+						'i.indisunique AS "unique", i.indisprimary AS "primary" ' +
+					'FROM pg_index i ' +
+					'INNER JOIN pg_class c ON c.oid = i.indrelid ' +
+					'INNER JOIN pg_namespace n ON n.oid = c.relnamespace ' +
+					'INNER JOIN pg_class ic ON ic.oid = i.indexrelid ' +
+					'CROSS JOIN LATERAL unnest(i.indkey::int2[]) WITH ORDINALITY AS k(attnum, position) ' +
+					'LEFT JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum = k.attnum ' +
+					'WHERE n.nspname = $1 AND c.relname = $2 ' +
+					'ORDER BY ic.relname, k.position',
+					[ schema, tableName ]
+				);
+				break;
+			case 'mssql':
+				var catalog = quoteMssql(options.database) + '.sys.';
+				query = rawQuery(
+					'SELECT i.name AS name, c.name AS columnName, i.is_unique AS [unique], i.is_primary_key AS [primary] ' +
+					'FROM ' + catalog + 'indexes i ' +
+					'INNER JOIN ' + catalog + 'index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id ' +
+					'INNER JOIN ' + catalog + 'columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id ' +
+					'INNER JOIN ' + catalog + 'tables t ON t.object_id = i.object_id ' +
+					'INNER JOIN ' + catalog + 'schemas s ON s.schema_id = t.schema_id ' +
+					'WHERE i.type > 0 AND ic.is_included_column = 0 AND s.name = @1 AND t.name = @2 ' +
+					'ORDER BY i.name, ic.key_ordinal',
+					[ schema || 'dbo', tableName ]
+				);
+				break;
+			case 'sqlite':
+				getListOfSqliteIndexes(tableName, callback);
+				return;
+		}
+
+		runQuery(query, callback);
+	}
+
+	//comments of a table (without a column name) and its columns, sqlite has none
+	function getListOfComments(schema, tableName, callback) {
+		var query;
+		switch (options.dialect) {
+			case 'mysql':
+				query = rawQuery(
+					'SELECT NULL AS columnName, TABLE_COMMENT AS description ' +
+					'FROM information_schema.TABLES ' +
+					'WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? ' +
+					'UNION ALL ' +
+					'SELECT COLUMN_NAME AS columnName, COLUMN_COMMENT AS description ' +
+					'FROM information_schema.COLUMNS ' +
+					'WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?',
+					[ options.database, tableName, options.database, tableName ]
+				);
+				break;
+			case 'pg':
+				query = rawQuery(
+					'SELECT a.attname AS "columnName", d.description AS description ' +
+					'FROM pg_description d ' +
+					'INNER JOIN pg_class c ON c.oid = d.objoid AND d.classoid = \'pg_class\'::regclass ' +
+					'INNER JOIN pg_namespace n ON n.oid = c.relnamespace ' +
+					'LEFT JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum = d.objsubid AND d.objsubid > 0 ' +
+					'WHERE n.nspname = $1 AND c.relname = $2',
+					[ schema, tableName ]
+				);
+				break;
+			case 'mssql':
+				var catalog = quoteMssql(options.database) + '.sys.';
+				query = rawQuery(
+					'SELECT c.name AS columnName, CAST(ep.value AS nvarchar(max)) AS description ' +
+					'FROM ' + catalog + 'extended_properties ep ' +
+					'INNER JOIN ' + catalog + 'tables t ON t.object_id = ep.major_id ' +
+					'INNER JOIN ' + catalog + 'schemas s ON s.schema_id = t.schema_id ' +
+					'LEFT JOIN ' + catalog + 'columns c ON c.object_id = ep.major_id AND c.column_id = ep.minor_id AND ep.minor_id > 0 ' +
+					'WHERE ep.class = 1 AND ep.name = \'MS_Description\' AND s.name = @1 AND t.name = @2',
+					[ schema || 'dbo', tableName ]
+				);
+				break;
+			case 'sqlite':
+				process.nextTick(function() {
+					callback(null, []);
+				});
+				return;
+		}
+
+		runQuery(query, function(err, rows) {
+			//mysql reports missing comments as empty strings
+			callback(err, rows && rows.filter(function(row) {
+				return !!row.description;
+			}));
+		});
+	}
+
+	//values of pg enum types, read once per type
+	var enumValues = {};
+
+	function getEnumValues(schema, typeName, callback) {
+		var key = schema + '.' + typeName;
+		if (enumValues.hasOwnProperty(key)) {
+			process.nextTick(function() {
+				callback(null, enumValues[key]);
+			});
+			return;
+		}
+
+		var query = rawQuery(
+			'SELECT e.enumlabel AS value ' +
+			'FROM pg_enum e ' +
+			'INNER JOIN pg_type t ON t.oid = e.enumtypid ' +
+			'INNER JOIN pg_namespace n ON n.oid = t.typnamespace ' +
+			'WHERE n.nspname = $1 AND t.typname = $2 ' +
+			'ORDER BY e.enumsortorder',
+			[ schema, typeName ]
+		);
+
+		runQuery(query, function(err, rows) {
+			if (err) {
+				callback(err);
+				return;
+			}
+
+			//other user-defined types (e.g. domains or composite types) have no values
+			enumValues[key] = rows.length ? rows.map(function(row) { return row.value; }) : null;
+			callback(null, enumValues[key]);
+		});
+	}
+
+	function getListOfColumns(schema, tableName, callback) {
+		var query;
+		if (options.dialect === 'sqlite') {
+			//no information_schema in sqlite, table_xinfo lists columns (including generated ones) in ordinal order
+			query = rawQuery('PRAGMA table_xinfo(' + quoteSqlite(tableName) + ')');
+		} else {
+			var selection = [
+				columns.name.as('name'),
+				columns.isNullable.as('nullable'),
+				columns.defaultValue.as('defaultValue'),
+				columns.charLength.as('charLength'),
+				columns.precision.as('precision'),
+				columns.scale.as('scale'),
+				columns.datetimePrecision.as('datetimePrecision'),
+				columns.type.as('type')
+			];
+
+			//the values of enums are part of the column type in mysql, and an enum type in pg
+			if (options.dialect === 'mysql') {
+				selection.push(columns.columnType.as('columnType'), columns.extra.as('extra'));
+			} else if (options.dialect === 'pg') {
+				selection.push(
+					columns.udtSchema.as('udtSchema'),
+					columns.udtName.as('udtName'),
+					columns.isIdentity.as('isIdentity'),
+					columns.isGenerated.as('isGenerated')
+				);
+			}
+
+			query = columns
+				.select(selection)
+				.from(columns)
+				.where(columns.tableName.equals(tableName));
+		}
+
+		switch (options.dialect) {
+			case 'mysql':
+				query = query.and(columns.tableSchema.equals(options.database));
+				break;
+			case 'pg':
+				query = query
+					.and(columns.tableSchema.equals(schema))
+					.and(columns.tableCatalog.equals(options.database));
+				break;
+			case 'mssql':
+				query = query
+					.and(columns.tableSchema.equals(schema || 'dbo'))
+					.and(columns.tableCatalog.equals(options.database));
+				break;
+		}
+
+		if (options.dialect !== 'sqlite') {
+			query = query.order(columns.ordinalPosition);
+		}
+
+		runQuery(query, function(err, results) {
+			if (err) {
+				callback(err);
+				return;
+			}
+
+			//hidden columns of virtual tables are not part of their rows
+			results = results.filter(function(col) {
+				return options.dialect !== 'sqlite' || col.hidden !== 1;
+			}).map(function(col) {
+				if (options.dialect === 'sqlite') {
+					col = parseSqliteColumn(col);
+				}
+
+				col.type = normalizeType(col.type);
+				col.nullable = col.nullable === 'YES';
+				if (options.dialect === 'mysql') {
+					col.enumValues = parseEnumValues(col.columnType);
+					col.autoIncrement = /auto_increment/i.test(col.extra || '');
+					//not "DEFAULT_GENERATED", which mysql 8 reports for expressions as defaults
+					col.generated = /(virtual|stored) generated/i.test(col.extra || '');
+				} else if (options.dialect === 'pg') {
+					//identity columns, or serial columns defaulting to their sequence
+					col.autoIncrement = col.isIdentity === 'YES' || /^nextval\(/i.test(col.defaultValue || '');
+					col.generated = col.isGenerated === 'ALWAYS';
+				}
+
+				return normalizeMetadata(col);
+			});
+
+			//an INTEGER PRIMARY KEY is an alias of the rowid, which is assigned automatically
+			if (options.dialect === 'sqlite') {
+				var primaryKey = results.filter(function(col) { return col.primaryKey; });
+				if (primaryKey.length === 1 && primaryKey[0].declaredType === 'integer') {
+					primaryKey[0].autoIncrement = true;
+				}
+			}
+
+			function addPrimaryKey(next) {
+				if (options.dialect === 'sqlite') {
+					//table_info already reports the primary key
+					process.nextTick(next);
+					return;
+				}
+
+				getListOfPrimaryKeyColumns(schema, tableName, function(err, primaryKey) {
+					if (err) {
+						next(err);
+						return;
+					}
+
+					results.forEach(function(col) {
+						col.primaryKey = primaryKey.indexOf(col.name) !== -1;
+					});
+
+					next();
+				});
+			}
+
+			function addForeignKeys(next) {
+				getListOfForeignKeys(schema, tableName, function(err, foreignKeys) {
+					if (err) {
+						next(err);
+						return;
+					}
+
+					results.forEach(function(col) {
+						col.references = null;
+						foreignKeys.some(function(foreignKey) {
+							if (foreignKey.name !== col.name) {
+								return false;
+							}
+
+							col.references = {
+								constraintName: foreignKey.constraintName,
+								table: foreignKey.referencedTable,
+								column: foreignKey.referencedColumn
+							};
+							//tables of different schemas may share a name
+							if (schemas) {
+								col.references.schema = foreignKey.referencedSchema;
+							}
+							return true;
+						});
+					});
+
+					next();
+				});
+			}
+
+			function addEnumValues(next) {
+				if (options.dialect !== 'pg') {
+					process.nextTick(next);
+					return;
+				}
+
+				async.eachSeries(results, function(col, next) {
+					if (col.type !== 'USER-DEFINED') {
+						next();
+						return;
+					}
+
+					getEnumValues(col.udtSchema, col.udtName, function(err, values) {
+						if (values) {
+							col.enumType = col.udtName;
+							col.enumValues = values;
+						}
+
+						next(err);
+					});
+				}, next);
+			}
+
+			function addColumnFlags(next) {
+				if (options.dialect !== 'mssql') {
+					process.nextTick(next);
+					return;
+				}
+
+				getListOfMssqlColumnFlags(schema, tableName, function(err, flags) {
+					if (err) {
+						next(err);
+						return;
+					}
+
+					results.forEach(function(col) {
+						flags.forEach(function(flag) {
+							if (flag.name === col.name) {
+								col.autoIncrement = !!flag.isIdentity;
+								col.generated = !!flag.isComputed;
+							}
+						});
+					});
+
+					next();
+				});
+			}
+
+			async.series([ addPrimaryKey, addForeignKeys, addEnumValues, addColumnFlags ], function(err) {
+				callback(err, !err ? results : undefined);
+			});
+		});
+	}
+
+	var log = options.log || function() {},
+		client = options.client || null,
+		connected = false,
+		model = null,
+		//a given client may come from another driver version (or e.g. mysql2), so the driver is only loaded to connect
+		db = options.client ? null : require(supportedDialects[options.dialect]),
+		columns,
+		tables;
+
+	switch (options.dialect) {
+		case 'mysql':
+			client = client || db.createConnection(options.dsn);
+			//pools keep the configuration of their connections separately
+			options.database = options.database || (client.config.connectionConfig || client.config).database;
+			sql.setDialect('mysql');
+			columns = sql.define({
+				name: 'COLUMNS',
+				schema: 'information_schema',
+				columns: [
+					{ name: 'TABLE_SCHEMA', property: 'tableSchema' },
+					{ name: 'TABLE_NAME', property: 'tableName' },
+					{ name: 'COLUMN_NAME', property: 'name' },
+					{ name: 'ORDINAL_POSITION', property: 'ordinalPosition' },
+					{ name: 'DATA_TYPE', property: 'type' },
+					{ name: 'COLUMN_TYPE', property: 'columnType' },
+					{ name: 'CHARACTER_MAXIMUM_LENGTH', property: 'charLength' },
+					{ name: 'NUMERIC_PRECISION', property: 'precision' },
+					{ name: 'NUMERIC_SCALE', property: 'scale' },
+					{ name: 'DATETIME_PRECISION', property: 'datetimePrecision' },
+					{ name: 'COLUMN_DEFAULT', property: 'defaultValue' },
+					{ name: 'IS_NULLABLE', property: 'isNullable' },
+					{ name: 'EXTRA', property: 'extra' }
+				]
+			});
+			tables = sql.define({
+				name: 'TABLES',
+				schema: 'information_schema',
+				columns: [
+					{ name: 'TABLE_NAME', property: 'name' },
+					{ name: 'TABLE_SCHEMA', property: 'schema' }
+				]
+			});
+			break;
+		case 'pg':
+			sql.setDialect('postgres');
+			client = client || new db.Client(options.dsn);
+			options.database = options.database || client.database || (client.options && client.options.database);
+			if (!schemas) {
+				options.schema = options.schema || 'public';
+			}
+			columns = sql.define({
+				name: 'columns',
+				schema: 'information_schema',
+				columns: [
+					{ name: 'table_schema', property: 'tableSchema' },
+					{ name: 'table_name', property: 'tableName' },
+					{ name: 'table_catalog', property: 'tableCatalog' },
+					{ name: 'column_name', property: 'name' },
+					{ name: 'ordinal_position', property: 'ordinalPosition' },
+					{ name: 'data_type', property: 'type' },
+					{ name: 'udt_schema', property: 'udtSchema' },
+					{ name: 'udt_name', property: 'udtName' },
+					{ name: 'character_maximum_length', property: 'charLength' },
+					{ name: 'numeric_precision', property: 'precision' },
+					{ name: 'numeric_scale', property: 'scale' },
+					{ name: 'datetime_precision', property: 'datetimePrecision' },
+					{ name: 'column_default', property: 'defaultValue' },
+					{ name: 'is_nullable', property: 'isNullable' },
+					{ name: 'is_identity', property: 'isIdentity' },
+					{ name: 'is_generated', property: 'isGenerated' }
+				]
+			});
+			tables = sql.define({
+				name: 'tables',
+				schema: 'information_schema',
+				columns: [
+					{ name: 'table_name', property: 'name' },
+					{ name: 'table_schema', property: 'schema' },
+					{ name: 'table_catalog', property: 'catalog' }
+				]
+			});
+			break;
+		case 'mssql':
+			sql.setDialect('mssql');
+			if (!client) {
+				//Extract information from mssql dsn to options, since the mssql module do not understand the dsn format
+				var mssqlDsn = options.dsn;
+				if (mssqlDsn.slice(-1) === ';') {
+					mssqlDsn = mssqlDsn.substring(0, mssqlDsn.length - 1);
+				}
+				try {
+					mssqlDsn = JSON.parse("{\"" +
+						mssqlDsn.replace('mssql://', '')
+							.replace(/=/g, '\":\"')
+							.replace(/;/g, '\",\"') +
+						"\"}"
+					);
+				} catch (e) {
+					callback(e);
+					return;
+				}
+
+				client = new db.ConnectionPool(mssqlDsn);
+			}
+			options.database = options.database || (mssqlDsn || client.config).database;
+			columns = sql.define({
+				name: 'columns',
+				schema: options.database + '].[information_schema',
+				columns: [
+					{ name: 'table_schema', property: 'tableSchema' },
+					{ name: 'table_name', property: 'tableName' },
+					{ name: 'table_catalog', property: 'tableCatalog' },
+					{ name: 'column_name', property: 'name' },
+					{ name: 'ordinal_position', property: 'ordinalPosition' },
+					{ name: 'data_type', property: 'type' },
+					{ name: 'character_maximum_length', property: 'charLength' },
+					{ name: 'numeric_precision', property: 'precision' },
+					{ name: 'numeric_scale', property: 'scale' },
+					{ name: 'datetime_precision', property: 'datetimePrecision' },
+					{ name: 'column_default', property: 'defaultValue' },
+					{ name: 'is_nullable', property: 'isNullable' }
+				]
+			});
+			tables = sql.define({
+				name: 'tables',
+				schema: options.database + '].[information_schema',
+				columns: [
+					{ name: 'table_name', property: 'name' },
+					{ name: 'table_schema', property: 'schema' },
+					{ name: 'table_catalog', property: 'catalog' },
+					{ name: 'table_type', property: 'type' }
+				]
+			});
+			break;
+		case 'sqlite':
+			sql.setDialect('sqlite');
+			//the database is opened in connect(), so that a missing file is reported as an error
+			options.filename = client ? client.filename : options.dsn.replace(/^sqlite:(\/\/)?/i, '');
+			options.database = options.database ||
+				path.basename(options.filename, path.extname(options.filename));
+			tables = sql.define({
+				name: 'sqlite_master',
+				columns: [
+					{ name: 'name', property: 'name' },
+					{ name: 'type', property: 'type' }
+				]
+			});
+			break;
+	}
+
+	if (!options.database) {
+		callback(new Error('options.database is required if it is not part of the DSN'));
+		return;
+	}
+
+	function connect(next) {
+		if (options.client) {
+			log('debug', 'Using the given client');
+			process.nextTick(next);
+			return;
+		}
+
+		function done(err) {
+			connected = !err;
+			next(err);
+		}
+
+		log('debug', 'Attempting connection with DSN "' + options.dsn + '"');
+		if (options.dialect === 'sqlite') {
+			client = new db.Database(options.filename, db.OPEN_READONLY, done);
+			return;
+		}
+
+		client.connect(done);
+	}
+
+	function fetchTables(next) {
+		log('info',
+			'Starting introspection of ' + options.database +
+				(options.schema ? '.' + options.schema : '') +
+				(schemas ? ' (' + (schemas.join(', ') || 'all schemas') + ')' : '')
+		);
+
+		getListOfTables(function(err, rows) {
+			if (err) {
+				next(err);
+				return;
+			}
+
+			model = {
+				dialect: options.dialect,
+				database: options.database,
+				schema: options.schema || null,
+				tables: rows.map(function(row) {
+					return schemas ?
+						{ schema: row.schema, name: row.name, description: null, columns: [] } :
+						{ name: row.name, description: null, columns: [] };
+				})
+			};
+
+			if (schemas) {
+				model.schemas = schemas.length ? schemas : rows
+					.map(function(row) { return row.schema; })
+					.filter(function(schema, i, list) { return list.indexOf(schema) === i; });
+			}
+
+			next();
+		});
+	}
+
+	function fetchColumns(next) {
+		async.eachSeries(model.tables, function(table, next) {
+			var start = Date.now(),
+				schema = table.schema || options.schema;
+
+			log('info', 'Starting ' + options.database + '.' + (schema ? schema + '.' : '') + table.name + '...');
+			getListOfColumns(schema, table.name, function(err, columnData) {
+				if (err) {
+					next(err);
+					return;
+				}
+
+				log('debug', '  Found ' + columnData.length + ' columns');
+
+				table.columns = columnData.map(function(column) {
+					var result = {
+						name: column.name,
+						type: column.type,
+						nullable: column.nullable,
+						defaultValue: column.defaultValue,
+						charLength: column.charLength,
+						precision: column.precision,
+						scale: column.scale,
+						datetimePrecision: column.datetimePrecision,
+						primaryKey: column.primaryKey,
+						autoIncrement: column.autoIncrement,
+						generated: column.generated,
+						references: column.references,
+						description: null
+					};
+
+					//only enum columns carry their values
+					if (column.enumValues) {
+						if (column.enumType) {
+							result.enumType = column.enumType;
+						}
+						result.enumValues = column.enumValues;
+					}
+
+					return result;
+				});
+
+				async.series([
+					function(next) {
+						getListOfIndexes(schema, table.name, function(err, indexData) {
+							if (!err) {
+								table.indexes = groupIndexes(indexData);
+								log('debug', '  Found ' + table.indexes.length + ' indexes');
+							}
+							next(err);
+						});
+					},
+					function(next) {
+						getListOfComments(schema, table.name, function(err, comments) {
+							if (!err) {
+								comments.forEach(function(comment) {
+									var column = comment.columnName ?
+										table.columns.filter(function(column) { return column.name === comment.columnName; })[0] :
+										table;
+									if (column) {
+										column.description = comment.description;
+									}
+								});
+							}
+							next(err);
+						});
+					}
+				], function(err) {
+					if (!err) {
+						log('debug', '  ...finished! (' + (Date.now() - start) + 'ms)');
+					}
+					next(err);
+				});
+			});
+		}, next);
+	}
+
+	//closes the connection opened by connect(), a given client belongs to the caller
+	function disconnect(next) {
+		if (!connected) {
+			process.nextTick(next);
+			return;
+		}
+
+		log('debug', 'Closing connection');
+		switch (options.dialect) {
+			case 'mysql':
+				client.end(next);
+				break;
+			case 'pg':
+				//pg 4 ignores the callback of end(), but emits "end" once the connection is closed
+				client.once('end', function() {
+					next();
+				});
+				client.end();
+				break;
+			case 'mssql':
+			case 'sqlite':
+				client.close(next);
+				break;
+		}
+	}
+
+	async.series([
+		connect,
+		fetchTables,
+		fetchColumns
+	], function(err) {
+		disconnect(function(closeErr) {
+			//errors of the introspection take precedence over errors closing the connection
+			err = err || closeErr;
+			callback(err, !err ? model : undefined);
+		});
+	});
+};
+
+module.exports.getDialect = getDialect;
+module.exports.normalizeType = normalizeType;
+module.exports.parseSchemas = parseSchemas;
+module.exports.parseEnumValues = parseEnumValues;
+module.exports.normalizeMetadata = normalizeMetadata;
+module.exports.groupIndexes = groupIndexes;
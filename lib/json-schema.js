@@ -0,0 +1,158 @@
+var info = require('../package.json'),
+	naming = require('./naming'),
+	render = require('./render');
+
+var schemaVersion = 'http://json-schema.org/draft-07/schema#';
+
+//formats of the string types JSON Schema knows about
+function getFormat(type) {
+	type = (type || '').toLowerCase();
+
+	if (type === 'date') {
+		return 'date';
+	}
+	if (/^(datetime|datetime2|smalldatetime|datetimeoffset)$/.test(type) || /^timestamp/.test(type)) {
+		return 'date-time';
+	}
+	if (/^time( |$)/.test(type)) {
+		return 'time';
+	}
+	if (/^(uuid|uniqueidentifier)$/.test(type)) {
+		return 'uuid';
+	}
+
+	return null;
+}
+
+/**
+ * Describes a column as a property of a JSON schema, e.g. { type: [ 'string', 'null' ], maxLength: 30 }.
+ * Types JSON has no equivalent for (e.g. json or binary columns) allow any value.
+ *
+ * @param {Object} column
+ * @param {String} [dialect] The dialect of the model
+ * @return {Object}
+ */
+function getPropertySchema(column, dialect) {
+	var format = getFormat(column.type),
+		type = column.enumValues || format ? 'string' : render.getValidationType(column.type, dialect),
+		property = {};
+
+	if (/\[\]$/.test(column.type) || column.type === 'ARRAY') {
+		type = 'array';
+	}
+
+	if (type) {
+		property.type = column.nullable ? [ type, 'null' ] : type;
+	}
+	if (format) {
+		property.format = format;
+	}
+	if (type === 'string' && !column.enumValues && column.charLength > 0) {
+		property.maxLength = column.charLength;
+	}
+	//the values of a set are combined into a single string
+	if (column.enumValues && column.type !== 'set') {
+		property.enum = column.nullable ? column.enumValues.concat(null) : column.enumValues;
+	}
+	if (column.description) {
+		property.description = column.description;
+	}
+
+	return property;
+}
+
+/**
+ * Turns a table into a JSON schema of its rows, keyed by the properties of the columns
+ *
+ * @param {Object} table
+ * @param {Object} [options] Same as for render()
+ * @param {String} [dialect] The dialect of the model
+ * @return {Object}
+ */
+function getTableSchema(table, options, dialect) {
+	var names = naming.resolve(options || {}),
+		schema = {
+			title: table.schema ? table.schema + '.' + table.name : table.name
+		},
+		required = [];
+
+	if (table.description) {
+		schema.description = table.description;
+	}
+
+	schema.type = 'object';
+	schema.properties = {};
+	table.columns.forEach(function(column) {
+		var property = render.getPropertyName(column, names) || column.name;
+
+		schema.properties[property] = getPropertySchema(column, dialect);
+		if (render.isRequired(column)) {
+			required.push(property);
+		}
+	});
+
+	if (required.length) {
+		schema.required = required;
+	}
+
+	return schema;
+}
+
+//adds the header to a document and serializes it like render() does code
+function stringify(document, options) {
+	var result = { $schema: schemaVersion };
+	if (!options.omitComments) {
+		result.$comment = 'autogenerated by ' + info.name + ' v' + info.version + ' on ' + new Date();
+	}
+
+	Object.keys(document).forEach(function(key) {
+		result[key] = document[key];
+	});
+
+	return JSON.stringify(result, null, options.indent).replace(/\n/g, options.eol) + options.eol;
+}
+
+/**
+ * Generates a JSON schema document holding the schemas of all tables as definitions, keyed by their
+ * export names ("schema.name" for multiple schemas)
+ *
+ * @param {Object} model
+ * @param {Object} [options] Same as for render()
+ * @return {String}
+ */
+function renderJsonSchema(model, options) {
+	options = render.normalizeOptions(options);
+
+	var names = naming.resolve(options),
+		definitions = {},
+		schemas = model.schemas ? model.schemas : [ null ];
+
+	schemas.forEach(function(schemaName) {
+		var tables = model.tables.filter(function(table) {
+			return !schemaName || table.schema === schemaName;
+		});
+
+		render.getExportNames(tables, names.table).forEach(function(name, i) {
+			definitions[schemaName ? schemaName + '.' + name : name] = getTableSchema(tables[i], options, model.dialect);
+		});
+	});
+
+	return stringify({ definitions: definitions }, options);
+}
+
+/**
+ * Generates the JSON schema document of a single table
+ *
+ * @param {Object} table
+ * @param {Object} [options] Same as for render()
+ * @param {String} [dialect] The dialect of the model
+ * @return {String}
+ */
+function renderTable(table, options, dialect) {
+	options = render.normalizeOptions(options);
+	return stringify(getTableSchema(table, options, dialect), options);
+}
+
+module.exports = renderJsonSchema;
+module.exports.table = renderTable;
+module.exports.getTableSchema = getTableSchema;
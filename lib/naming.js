@@ -0,0 +1,181 @@
+//singular forms that the suffix rules below would get wrong
+var irregulars = {
+	people: 'person',
+	children: 'child',
+	men: 'man',
+	women: 'woman',
+	mice: 'mouse',
+	geese: 'goose',
+	data: 'data',
+	news: 'news',
+	series: 'series',
+	species: 'species'
+};
+
+/**
+ * Splits a name into words at underscores, dashes, spaces and case changes
+ * ("foo_bar" and "fooBar" -> [ "foo", "bar" ], "HTTPServer" -> [ "HTTP", "Server" ])
+ *
+ * @param {String} name
+ * @return {String[]}
+ */
+function splitWords(name) {
+	return name
+		.replace(/([a-z\d])([A-Z])/g, '$1 $2')
+		.replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+		.split(/[\s_\-]+/)
+		.filter(Boolean);
+}
+
+function capitalize(word) {
+	return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+/**
+ * Turns the plural of an English word into its singular, keeping its case
+ *
+ * @param {String} word
+ * @return {String}
+ */
+function singularizeWord(word) {
+	var lower = word.toLowerCase(),
+		singular;
+
+	if (irregulars.hasOwnProperty(lower)) {
+		singular = irregulars[lower];
+	} else if (/[^aeiou]ies$/.test(lower)) {
+		singular = lower.slice(0, -3) + 'y';
+	} else if (/(s|x|z|ch|sh)es$/.test(lower)) {
+		singular = lower.slice(0, -2);
+	} else if (/[^su]s$/.test(lower)) {
+		singular = lower.slice(0, -1);
+	} else {
+		return word;
+	}
+
+	if (word === word.toUpperCase()) {
+		return singular.toUpperCase();
+	}
+	return word.charAt(0) + singular.slice(1);
+}
+
+var strategies = {
+	//the name as it is in the database
+	preserve: function(name) {
+		return name;
+	},
+	//"foo_bar" -> "fooBar", leaves mixed case names alone (the behaviour of options.camelize)
+	camelize: function(name) {
+		return name.replace(/_(.)/g, function(all, c) {
+			return c.toUpperCase();
+		});
+	},
+	//"foo_bar", "FooBar" -> "fooBar"
+	camel: function(name) {
+		return splitWords(name).map(function(word, i) {
+			return i ? capitalize(word) : word.toLowerCase();
+		}).join('');
+	},
+	//"foo_bar", "fooBar" -> "FooBar"
+	pascal: function(name) {
+		return splitWords(name).map(capitalize).join('');
+	},
+	//"fooBar", "FooBar" -> "foo_bar"
+	snake: function(name) {
+		return splitWords(name).map(function(word) {
+			return word.toLowerCase();
+		}).join('_');
+	},
+	//"user_accounts" -> "user_account", "UserAccounts" -> "UserAccount"
+	singular: function(name) {
+		var match = /^(.*?)([A-Za-z]+)$/.exec(name);
+		if (!match) {
+			return name;
+		}
+
+		//the last word of a mixed case name starts at its last upper case letter
+		var lastWord = /[a-z][A-Z][a-z]+$/.test(match[2]) ? /[A-Z][a-z]+$/.exec(match[2])[0] : match[2];
+		return name.slice(0, name.length - lastWord.length) + singularizeWord(lastWord);
+	}
+};
+
+/**
+ * Turns a strategy into a function: a function is used as is, a name (or a comma-delimited list of
+ * names) refers to a built-in strategy and an array is applied from left to right
+ *
+ * @param {Function|String|Array} strategy
+ * @return {Function}
+ * @throws {Error} If a strategy does not exist
+ */
+function getStrategy(strategy) {
+	if (typeof(strategy) === 'function') {
+		return strategy;
+	}
+
+	var functions = (Array.isArray(strategy) ? strategy : String(strategy).split(',')).map(function(item) {
+		if (typeof(item) === 'function') {
+			return item;
+		}
+
+		item = String(item).trim();
+		if (!strategies.hasOwnProperty(item)) {
+			throw new Error('Unknown naming strategy "' + item + '", expected a function or one of "' +
+				Object.keys(strategies).join('", "') + '"');
+		}
+		return strategies[item];
+	});
+
+	return function(name) {
+		return functions.reduce(function(name, fn) {
+			return fn(name);
+		}, name);
+	};
+}
+
+function toPrefixes(value) {
+	if (!value) {
+		return [];
+	}
+
+	return Array.isArray(value) ? value : String(value).split(',');
+}
+
+/**
+ * Resolves the functions naming the exported tables and the column properties. Without
+ * options.naming, options.camelize applies to both.
+ *
+ * @param {Object} options
+ * @param {Object} [options.naming]
+ * @param {Function|String|Array} [options.naming.table] Strategy for export names
+ * @param {Function|String|Array} [options.naming.column] Strategy for column properties
+ * @param {String|String[]} [options.naming.stripPrefix] Prefixes removed from table names, e.g. "tbl_"
+ * @param {Boolean} [options.camelize]
+ * @return {Object} { table, column }, column is null if columns do not get a property
+ * @throws {Error} If a strategy does not exist
+ */
+function resolve(options) {
+	var naming = options.naming || {},
+		defaultStrategy = options.camelize ? 'camelize' : null,
+		tableStrategy = getStrategy(naming.table || defaultStrategy || 'preserve'),
+		columnStrategy = naming.column || defaultStrategy,
+		prefixes = toPrefixes(naming.stripPrefix);
+
+	return {
+		table: function(name) {
+			for (var i = 0; i < prefixes.length; i++) {
+				//never strip a table name down to nothing
+				if (name.indexOf(prefixes[i]) === 0 && name.length > prefixes[i].length) {
+					name = name.slice(prefixes[i].length);
+					break;
+				}
+			}
+
+			return tableStrategy(name);
+		},
+		column: columnStrategy ? getStrategy(columnStrategy) : null
+	};
+}
+
+module.exports.resolve = resolve;
+module.exports.strategies = strategies;
+module.exports.splitWords = splitWords;
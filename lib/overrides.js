@@ -0,0 +1,125 @@
+var path = require('path'),
+	fs = require('fs'),
+	util = require('util');
+
+/**
+ * Reads an overrides file: .js files are required, anything else is parsed as JSON
+ *
+ * @param {String} file
+ * @return {Object}
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function load(file) {
+	var overrides;
+
+	try {
+		overrides = /\.js$/.test(file) ?
+			require(path.resolve(file)) :
+			JSON.parse(fs.readFileSync(file, 'utf8'));
+	} catch (e) {
+		throw new Error('Invalid overrides "' + file + '": ' + e.message);
+	}
+
+	if (!overrides || typeof(overrides) !== 'object' || Array.isArray(overrides)) {
+		throw new Error('Invalid overrides "' + file + '": expected an object');
+	}
+
+	return overrides;
+}
+
+//"export" and "exclude" are instructions, everything else replaces a property of the table or column
+function merge(target, override) {
+	Object.keys(override).forEach(function(key) {
+		if (key !== 'export' && key !== 'exclude') {
+			target[key] = override[key];
+		}
+	});
+
+	return target;
+}
+
+/**
+ * Applies overrides to the tables and columns of a model. Overrides are keyed by "table" or
+ * "table.column" ("schema.table" and "schema.table.column" for multiple schemas):
+ *
+ *   {
+ *     "tbl_user": { "export": "user" },
+ *     "user.pwd": { "property": "password" },
+ *     "user.legacy_id": { "exclude": true },
+ *     "user.email": { "primaryKey": true, "type": "varchar" }
+ *   }
+ *
+ * "export" renames the export of a table, "property" the property of a column and "exclude" leaves a
+ * table or column out. Any other value replaces (or adds) that property of the table or column.
+ *
+ * @param {Object} model
+ * @param {Object} overrides
+ * @param {Function} [log] Receives a warning for each override not matching a table or column
+ * @return {Object} A copy of the model with the overrides applied
+ */
+function apply(model, overrides, log) {
+	var used = {};
+
+	log = log || function() {};
+
+	function find(keys) {
+		for (var i = 0; i < keys.length; i++) {
+			if (overrides.hasOwnProperty(keys[i])) {
+				used[keys[i]] = true;
+				return overrides[keys[i]] || {};
+			}
+		}
+
+		return null;
+	}
+
+	var tables = model.tables.map(function(table) {
+		var tableKeys = table.schema ? [ table.schema + '.' + table.name, table.name ] : [ table.name ],
+			override = find(tableKeys),
+			copy = util._extend({}, table);
+
+		if (override) {
+			if (override.exclude) {
+				//overrides of its columns are not unknown, just moot
+				Object.keys(overrides).forEach(function(key) {
+					tableKeys.forEach(function(tableKey) {
+						if (key.indexOf(tableKey + '.') === 0) {
+							used[key] = true;
+						}
+					});
+				});
+				return null;
+			}
+
+			merge(copy, override);
+			if (override.export) {
+				copy.exportName = override.export;
+			}
+		}
+
+		copy.columns = table.columns.map(function(column) {
+			var columnOverride = find(tableKeys.map(function(key) {
+				return key + '.' + column.name;
+			}));
+
+			if (!columnOverride) {
+				return column;
+			}
+
+			return columnOverride.exclude ? null : merge(util._extend({}, column), columnOverride);
+		}).filter(Boolean);
+
+		return copy;
+	}).filter(Boolean);
+
+	Object.keys(overrides).forEach(function(key) {
+		if (!used[key]) {
+			log('warn', 'Override "' + key + '" does not match any table or column');
+		}
+	});
+
+	return util._extend(util._extend({}, model), { tables: tables });
+}
+
+module.exports.load = load;
+module.exports.apply = apply;
@@ -0,0 +1,984 @@
+var path = require('path'),
+	util = require('util'),
+	info = require('../package.json'),
+	naming = require('./naming');
+
+var supportedModuleFormats = {
+	cjs: 1,
+	esm: 1,
+	factory: 1
+};
+
+//words that cannot be used as variable names in (strict mode) ES modules
+var reservedWords = [
+	'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+	'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements', 'import',
+	'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected', 'public',
+	'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while',
+	'with', 'yield'
+];
+
+var camelize = naming.strategies.camelize;
+
+function pascalize(name) {
+	var camelized = camelize(name);
+	return camelized.charAt(0).toUpperCase() + camelized.slice(1);
+}
+
+//e.g. "public" -> "_public", exported with "export { _public as public }"
+function getVariableName(name) {
+	return reservedWords.indexOf(name) === -1 ? name : '_' + name;
+}
+
+/**
+ * Names the exports of tables, e.g. when singularizing "users" and "user" would both become "user"
+ *
+ * @param {Array} tables Tables of the same module or schema
+ * @param {Function} getName The table naming strategy, unless the table was renamed by an override
+ * @return {String[]}
+ * @throws {Error} If two tables get the same name
+ */
+function getExportNames(tables, getName) {
+	var tablesByName = {};
+
+	return tables.map(function(table) {
+		var name = table.exportName || getName(table.name);
+		if (tablesByName.hasOwnProperty(name)) {
+			throw new Error('Tables "' + tablesByName[name] + '" and "' + table.name + '" are both exported as "' + name + '"');
+		}
+
+		tablesByName[name] = table.name;
+		return name;
+	});
+}
+
+//a string literal, e.g. for enum values which may contain quotes
+function quote(value) {
+	return '\'' + String(value)
+		.replace(/\\/g, '\\\\')
+		.replace(/'/g, '\\\'')
+		.replace(/\r/g, '\\r')
+		.replace(/\n/g, '\\n') + '\'';
+}
+
+/**
+ * Turns a comment (e.g. the description of a table) into the lines of a JSDoc comment
+ *
+ * @param {String} indent
+ * @param {String} text
+ * @param {Boolean} [inline] Keep a single line comment on one line
+ * @return {String[]}
+ */
+function getDocComment(indent, text, inline) {
+	var lines = String(text).trim().replace(/\*\//g, '*\\/').split(/\r?\n/);
+
+	if (inline && lines.length === 1) {
+		return [ indent + '/** ' + lines[0] + ' */' ];
+	}
+
+	return [ indent + '/**' ].concat(lines.map(function(line) {
+		return (indent + ' * ' + line).replace(/\s+$/, '');
+	}), [ indent + ' */' ]);
+}
+
+/**
+ * Collects the enums of a model for options.enumConstants. Enum types (pg) are named after the type,
+ * inline enums (mysql) after their table and column, e.g. "OrderStatusEnum".
+ *
+ * @param {Object} model
+ * @return {Array} [ { name, source, values } ]
+ */
+function getEnums(model) {
+	var enums = [],
+		names = {};
+
+	model.tables.forEach(function(table) {
+		table.columns.forEach(function(column) {
+			if (!column.enumValues) {
+				return;
+			}
+
+			var source = column.enumType || table.name + '.' + column.name,
+				name = pascalize((column.enumType || table.name + '_' + column.name).replace(/\W+/g, '_')) + 'Enum';
+
+			//columns of the same enum type share its constant
+			if (!names.hasOwnProperty(name)) {
+				names[name] = true;
+				enums.push({ name: name, source: source, values: column.enumValues });
+			}
+		});
+	});
+
+	return enums;
+}
+
+//the members of an enum constant, keyed by value
+function getEnumMembers(values, separator) {
+	return values.map(function(value) {
+		return (/^[A-Za-z_$][\w$]*$/.test(value) ? value : quote(value)) + separator + quote(value);
+	});
+}
+
+//the property of a column renamed by an override or a naming strategy, if any
+function getPropertyName(column, names) {
+	return column.property || (names.column ? names.column(column.name) : null);
+}
+
+/**
+ * Groups the tables of a model extracted from multiple schemas by schema
+ *
+ * @param {Object} model
+ * @return {Array|null} [ { name: 'billing', tables: [ ... ] } ], or null for a single schema
+ */
+function groupBySchema(model) {
+	if (!Array.isArray(model.schemas)) {
+		return null;
+	}
+
+	return model.schemas.map(function(schema) {
+		return {
+			name: schema,
+			tables: model.tables.filter(function(table) {
+				return table.schema === schema;
+			})
+		};
+	});
+}
+
+//what the drivers return for bit columns
+var bitTypes = {
+	mysql: 'Buffer',
+	pg: 'string',
+	sqlite: 'number'
+};
+
+/**
+ * Maps a (normalized) SQL data type to the TypeScript type the drivers return for it
+ *
+ * @param {String} type
+ * @param {String} [dialect] The dialect of the model, for types the drivers return differently
+ * @return {String}
+ */
+function getTypeScriptType(type, dialect) {
+	type = (type || '').toLowerCase();
+
+	if (type === 'array' || /\[\]$/.test(type)) {
+		return 'any[]';
+	}
+	if (type === 'bit') {
+		return bitTypes[dialect] || 'boolean';
+	}
+	if (/^(bool|boolean)$/.test(type)) {
+		return 'boolean';
+	}
+	//64-bit integers and exact numerics are returned as strings to avoid losing precision
+	if (/^(bigint|int8|bigserial|serial8|decimal|numeric|money|smallmoney)$/.test(type)) {
+		return 'string';
+	}
+	if (/^((tiny|small|medium)?int(eger)?|int[24]|(small)?serial[24]?|float[48]?|double( precision)?|real|year)$/.test(type)) {
+		return 'number';
+	}
+	if (/^(date|datetime|datetime2|smalldatetime|datetimeoffset)$/.test(type) || /^timestamp/.test(type)) {
+		return 'Date';
+	}
+	if (/^(json|jsonb)$/.test(type)) {
+		return 'any';
+	}
+	if (/^((tiny|medium|long)?blob|(var)?binary|bytea|image)$/.test(type)) {
+		return 'Buffer';
+	}
+	if (/^(uuid|uniqueidentifier|enum|set|xml|interval|inet|cidr|macaddr8?|bit varying|varbit)$/.test(type) ||
+		/^time( |$)/.test(type) || /char|text|clob/.test(type)) {
+		return 'string';
+	}
+
+	return 'any';
+}
+
+/**
+ * Maps a SQL type to the JSON type of its values, which validators check and JSON schemas declare
+ *
+ * @param {String} type
+ * @param {String} [dialect] The dialect of the model, for types the drivers return differently
+ * @return {String|null} Either "integer", "number", "boolean" or "string", null if values are not checked
+ */
+function getValidationType(type, dialect) {
+	type = (type || '').toLowerCase();
+
+	//the same values getTypeScriptType() declares, buffers are not checked
+	if (type === 'bit') {
+		return { Buffer: null, string: 'string', number: 'integer', boolean: 'boolean' }[bitTypes[dialect] || 'boolean'];
+	}
+	if (/^(bool|boolean)$/.test(type)) {
+		return 'boolean';
+	}
+	if (/^((tiny|small|medium|big)?int(eger)?|int[248]|(small|big)?serial[248]?)$/.test(type)) {
+		return 'integer';
+	}
+	if (/^(decimal|numeric|money|smallmoney|float[48]?|double( precision)?|real)$/.test(type)) {
+		return 'number';
+	}
+	if (/^(set|enum)$/.test(type) || /char|text|clob|uuid|uniqueidentifier/.test(type)) {
+		return 'string';
+	}
+
+	return null;
+}
+
+//whether a row needs a value for a column, the database fills in defaults, auto-increment and generated columns
+function isRequired(column) {
+	return !column.nullable && (column.defaultValue === null || column.defaultValue === undefined) &&
+		!column.autoIncrement && !column.generated;
+}
+
+//the rules validateRow() checks a column against
+function getValidationRules(column, names, dialect) {
+	var rules = [ 'property: ' + quote(getPropertyName(column, names) || column.name) ],
+		type = column.enumValues ? 'string' : getValidationType(column.type, dialect);
+
+	if (type) {
+		rules.push('type: ' + quote(type));
+	}
+	if (isRequired(column)) {
+		rules.push('required: true');
+	}
+	if (!column.nullable) {
+		rules.push('nullable: false');
+	}
+	if (type === 'string' && !column.enumValues && column.charLength > 0) {
+		rules.push('maxLength: ' + column.charLength);
+	}
+	if (column.enumValues) {
+		rules.push('values: [ ' + column.enumValues.map(quote).join(', ') + ' ]');
+		if (column.type === 'set') {
+			rules.push('set: true');
+		}
+	}
+
+	return '{ ' + rules.join(', ') + ' }';
+}
+
+//written once into code with options.validators, tabs are replaced by options.indent
+var validateRowSource = [
+	'function validateRow(row, columns) {',
+	'\tvar errors = [];',
+	'',
+	'\tcolumns.forEach(function(column) {',
+	'\t\tvar value = row[column.property],',
+	'\t\t\tnumeric = typeof value === \'number\' ? isFinite(value) : typeof value === \'string\' && /^-?\\d+(\\.\\d+)?$/.test(value);',
+	'',
+	'\t\tfunction fail(rule, message) {',
+	'\t\t\terrors.push({ column: column.property, rule: rule, message: column.property + \' \' + message });',
+	'\t\t}',
+	'',
+	'\t\tif (value === undefined || value === null) {',
+	'\t\t\tif (value === null && column.nullable === false) {',
+	'\t\t\t\tfail(\'nullable\', \'must not be null\');',
+	'\t\t\t} else if (value === undefined && column.required) {',
+	'\t\t\t\tfail(\'required\', \'is required\');',
+	'\t\t\t}',
+	'\t\t\treturn;',
+	'\t\t}',
+	'',
+	'\t\tif (column.type === \'integer\' && !(numeric && Number(value) % 1 === 0)) {',
+	'\t\t\tfail(\'type\', \'must be an integer\');',
+	'\t\t} else if (column.type === \'number\' && !numeric) {',
+	'\t\t\tfail(\'type\', \'must be a number\');',
+	'\t\t} else if ((column.type === \'boolean\' || column.type === \'string\') && typeof value !== column.type) {',
+	'\t\t\tfail(\'type\', \'must be a \' + column.type);',
+	'\t\t}',
+	'',
+	'\t\tif (column.maxLength && typeof value === \'string\' && value.length > column.maxLength) {',
+	'\t\t\tfail(\'maxLength\', \'must be at most \' + column.maxLength + \' characters long\');',
+	'\t\t}',
+	'',
+	'\t\t//the values of a set are comma-delimited',
+	'\t\tif (column.values && typeof value === \'string\' && (column.set ? value.split(\',\').filter(Boolean) : [ value ]).some(function(item) {',
+	'\t\t\treturn column.values.indexOf(item) === -1;',
+	'\t\t})) {',
+	'\t\t\tfail(\'enum\', \'must be one of \' + column.values.join(\', \'));',
+	'\t\t}',
+	'\t});',
+	'',
+	'\treturn errors;',
+	'}'
+];
+
+/**
+ * Validates the rendering options and fills in their defaults
+ *
+ * @param {Object} options
+ * @return {Object} A normalized copy of the options
+ * @throws {Error} If options.format, options.moduleFormat or a naming strategy is not supported, options.template
+ * cannot be loaded or declarations are requested for JSON schemas
+ */
+function normalizeOptions(options) {
+	options = util._extend({}, options);
+
+	if (typeof(options.template) === 'string') {
+		try {
+			options.template = require(path.resolve(options.template));
+		} catch (e) {
+			throw new Error('Unable to load template "' + options.template + '": ' + e.message);
+		}
+	}
+	if (options.template && ![ 'header', 'table', 'footer' ].some(function(part) {
+		return typeof(options.template[part]) === 'function';
+	})) {
+		throw new Error('options.template must export a header, table or footer function');
+	}
+
+	options.format = options.format || 'js';
+	if (options.format !== 'js' && options.format !== 'json-schema') {
+		throw new Error('options.format must be either "js" or "json-schema"');
+	}
+	if (options.format === 'json-schema' && options.declarations) {
+		throw new Error('options.declarations cannot be used with the "json-schema" format');
+	}
+
+	options.moduleFormat = (options.moduleFormat || 'cjs').toLowerCase();
+	if (!supportedModuleFormats[options.moduleFormat]) {
+		throw new Error('options.moduleFormat must be either "cjs", "esm" or "factory"');
+	}
+	if (options.moduleFormat === 'factory') {
+		options.moduleFormat = 'cjs';
+		options.modularize = true;
+	}
+
+	naming.resolve(options);
+
+	options.eol = options.eol || '\n';
+	options.indent = options.indent || '\t';
+
+	return options;
+}
+
+/**
+ * Generates the sql.define() code for the tables of a model created by introspect()
+ *
+ * @param {Object} model
+ * @param {Object} [options]
+ * @param {String} [options.indent] String to use for indentation of generated code, defaults to "\t"
+ * @param {Boolean} [options.camelize] Convert underscored names to camel case ("foo_bar" -> "fooBar")
+ * @param {Object} [options.naming] Strategies naming the exported tables and column properties, see naming.resolve()
+ * @param {String} [options.eol] End-of-line character, defaults to "\n"
+ * @param {String} [options.prepend] String to prepend to the beginning of the generated output
+ * @param {String} [options.append] String to append to the end of the generated output
+ * @param {Boolean} [options.omitComments] Omit autogenerated comments
+ * @param {Boolean} [options.includeSchema] Include schema in definition
+ * @param {Boolean} [options.modularize] Omit require('sql') and wrap generated code in module.exports = function() {...}
+ * (export default function() {...} for ES modules)
+ * @param {String} [options.moduleFormat] Either "cjs", "esm" or "factory" (same as "cjs" with options.modularize), defaults to "cjs"
+ * @param {Boolean} [options.includeMeta] Add metadata to column definitions and the indexes of each table (not
+ * used by node-sql)
+ * @param {Boolean} [options.enumConstants] Also export a frozen object holding the values of each enum, e.g. MoodEnum
+ * @param {Boolean} [options.validators] Add a validate(row) function to each table, returning the errors of a row as
+ * [ { column, rule, message } ]
+ * @param {String|Object} [options.template] Module (or the path to it) replacing parts of the generated code:
+ * header(model, context), table(table, context) and footer(model, context) return the code to write as is,
+ * context.render() returns the default code of that part
+ * @throws {Error} If a template part throws
+ * @return {String}
+ */
+function render(model, options) {
+	options = normalizeOptions(options);
+
+	var esm = options.moduleFormat === 'esm',
+		//indent everything by one if modularize is set
+		indent = options.modularize ? options.indent : '',
+		fullSchema = model.schema || model.database,
+		//tables of multiple schemas are nested in an object per schema, e.g. exports.billing.invoice
+		schemas = groupBySchema(model),
+		//plain ES modules declare variables which are exported at the end
+		declareVariables = esm && !options.modularize,
+		template = options.template || {},
+		names = naming.resolve(options),
+		//the tables and how the generated code refers to them, e.g. "exports.foo"
+		references = [],
+		output = '';
+
+	function tryCamelize(name) {
+		return !options.camelize ? name : camelize(name);
+	}
+
+	//non-empty arguments on separate lines, followed by a line break
+	function write() {
+		output += [].slice.call(arguments)
+			.map(function(obj) { return (obj || '').toString(); })
+			.filter(function(line) { return !!line; })
+			.join(options.eol) + options.eol;
+	}
+
+	if (options.prepend) {
+		write(options.prepend + options.eol);
+	}
+
+	if (!options.omitComments) {
+		write('// autogenerated by ' + info.name + ' v' + info.version + ' on ' + new Date() + options.eol);
+	}
+
+	//the code of a template part replaces what the default part would write
+	function writePart(part, subject, context, writeDefault) {
+		if (typeof(template[part]) !== 'function') {
+			writeDefault();
+			return;
+		}
+
+		context.model = model;
+		context.options = options;
+		context.render = function() {
+			var saved = output;
+			output = '';
+			writeDefault();
+
+			var code = output;
+			output = saved;
+			return code;
+		};
+
+		var code;
+		try {
+			code = template[part](subject, context);
+		} catch (e) {
+			throw new Error('Template ' + part + '() failed: ' + e.message);
+		}
+
+		output += code || '';
+	}
+
+	function writeHeader() {
+		if (options.modularize) {
+			write(
+				esm ? 'export default function(sql) {' : 'module.exports = function(sql) {',
+				options.indent + (esm ? 'const' : 'var') + ' exports = {};',
+				options.eol
+			);
+		} else if (esm) {
+			write('import sql from \'sql\';', options.eol);
+		} else {
+			write('var sql = require(\'sql\');', options.eol);
+		}
+	}
+
+	//declaration is what precedes the target, e.g. "export const " for plain ES modules
+	function writeTable(table, target, declaration) {
+		var lines = [],
+			schema = table.schema || fullSchema;
+
+		//the comment of the table in the database, if it has one
+		if (!options.omitComments) {
+			lines.push.apply(lines, getDocComment(indent, table.description || 'SQL definition for ' + schema + '.' + table.name));
+		}
+
+		lines.push(indent + (declaration || '') + target + ' = sql.define({');
+		lines.push(indent + options.indent + 'name: \'' + table.name + '\',');
+		if (options.includeSchema || schemas) {
+			lines.push(indent + options.indent + 'schema: \'' + schema + '\',');
+		}
+		if (options.includeMeta && table.description) {
+			lines.push(indent + options.indent + 'description: ' + quote(table.description) + ',');
+		}
+		lines.push(indent + options.indent + 'columns: [');
+
+		lines.push(table.columns.map(function(column) {
+			var columnIndent = indent + options.indent + options.indent,
+				columnString = columnIndent + '{ name: \'' + column.name + '\'';
+
+			if (getPropertyName(column, names)) {
+				columnString += ', property: \'' + getPropertyName(column, names) + '\'';
+			}
+			if (column.primaryKey) {
+				columnString += ', primaryKey: true';
+			}
+			if (column.references) {
+				columnString += ', references: { ' +
+					(column.references.schema ? 'schema: \'' + column.references.schema + '\', ' : '') +
+					'table: \'' + column.references.table + '\'' +
+					', column: \'' + column.references.column + '\' }';
+			}
+			if (options.includeMeta) {
+				columnString += ', type: \'' + column.type + '\'';
+				columnString += ', nullable: ' + column.nullable;
+				columnString += ', charLength: ' + column.charLength;
+				//snapshots and models saved by older versions lack the other metadata
+				columnString += ', defaultValue: ' + (column.defaultValue === null || column.defaultValue === undefined ?
+					null : quote(column.defaultValue));
+				[ 'precision', 'scale', 'datetimePrecision' ].forEach(function(property) {
+					columnString += ', ' + property + ': ' + (column[property] === undefined ? null : column[property]);
+				});
+				columnString += ', autoIncrement: ' + !!column.autoIncrement;
+				columnString += ', generated: ' + !!column.generated;
+				if (column.enumValues) {
+					columnString += ', enumValues: [ ' + column.enumValues.map(quote).join(', ') + ' ]';
+				}
+				if (column.description) {
+					columnString += ', description: ' + quote(column.description);
+				}
+			}
+
+			if (column.description && !options.omitComments) {
+				columnString = getDocComment(columnIndent, column.description, true).concat(columnString).join(options.eol);
+			}
+
+			return columnString + ' }';
+		}).join(',' + options.eol));
+
+		if (options.includeMeta && table.indexes && table.indexes.length) {
+			lines.push(indent + options.indent + '],');
+			lines.push(indent + options.indent + 'indexes: [');
+			lines.push(table.indexes.map(function(index) {
+				return indent + options.indent + options.indent + '{ ' +
+					'name: ' + (index.name === null ? null : quote(index.name)) +
+					', columns: [ ' + index.columns.map(quote).join(', ') + ' ]' +
+					', unique: ' + index.unique +
+					', primary: ' + index.primary + ' }';
+			}).join(',' + options.eol));
+		}
+
+		lines.push(indent + options.indent + ']');
+		lines.push(indent + '});');
+		lines.push(options.eol);
+
+		write.apply(null, lines);
+	}
+
+	function writeEnums() {
+		getEnums(model).forEach(function(enumType) {
+			var lines = [];
+
+			if (!options.omitComments) {
+				lines.push(indent + '/**');
+				lines.push(indent + ' * Values of enum ' + enumType.source);
+				lines.push(indent + ' */');
+			}
+
+			lines.push(indent + (declareVariables ? 'export const ' : 'exports.') + enumType.name + ' = Object.freeze({');
+			lines.push(getEnumMembers(enumType.values, ': ').map(function(member) {
+				return indent + options.indent + member;
+			}).join(',' + options.eol));
+			lines.push(indent + '});');
+			lines.push(options.eol);
+
+			write.apply(null, lines);
+		});
+	}
+
+	function writeValidators() {
+		if (!options.omitComments) {
+			write(
+				indent + '/**',
+				indent + ' * Checks the values of a row against the columns of its table',
+				indent + ' */'
+			);
+		}
+		write(validateRowSource.map(function(line) {
+			return line ? indent + line.replace(/^\t+/, function(tabs) {
+				return new Array(tabs.length + 1).join(options.indent);
+			}) : line;
+		}).join(options.eol), options.eol);
+
+		references.forEach(function(item) {
+			var table = item.table,
+				lines = [];
+
+			if (!options.omitComments) {
+				lines.push(indent + '/**');
+				lines.push(indent + ' * Validates a row of ' + (table.schema || fullSchema) + '.' + table.name);
+				lines.push(indent + ' */');
+			}
+
+			lines.push(indent + item.reference + '.validate = function(row) {');
+			lines.push(indent + options.indent + 'return validateRow(row, [');
+			lines.push(table.columns.map(function(column) {
+				return indent + options.indent + options.indent + getValidationRules(column, names, model.dialect);
+			}).join(',' + options.eol));
+			lines.push(indent + options.indent + ']);');
+			lines.push(indent + '};');
+			lines.push(options.eol);
+
+			write.apply(null, lines);
+		});
+	}
+
+	function writeFooter() {
+		if (options.modularize) {
+			write(
+				options.indent + 'return exports;',
+				esm ? '}' : '};'
+			);
+		} else if (esm) {
+			var exportNames = schemas ?
+				schemas.map(function(schema) { return tryCamelize(schema.name); }) :
+				getExportNames(model.tables, names.table);
+
+			//schemas are declared as variables, tables as exported variables unless their names are reserved,
+			//"default" is only part of the default export
+			var exported = exportNames.filter(function(name) {
+				return (schemas || getVariableName(name) !== name) && name !== 'default';
+			});
+
+			if (exported.length) {
+				write(
+					'export { ' + exported.map(function(name) {
+						return getVariableName(name) === name ? name : getVariableName(name) + ' as ' + name;
+					}).join(', ') + ' };',
+					options.eol
+				);
+			}
+
+			//default export of all tables
+			write(
+				'export default {',
+				exportNames.map(function(name) {
+					return options.indent + (getVariableName(name) === name ? name : name + ': ' + getVariableName(name));
+				}).join(',' + options.eol),
+				'};'
+			);
+		}
+	}
+
+	function writeTablePart(table, name, target, declaration) {
+		writePart('table', table, { name: name, target: target, declaration: declaration }, function() {
+			writeTable(table, target, declaration);
+		});
+	}
+
+	writePart('header', model, {}, writeHeader);
+
+	if (schemas) {
+		schemas.forEach(function(schema) {
+			var name = tryCamelize(schema.name),
+				target = declareVariables ? getVariableName(name) : 'exports.' + name,
+				tableNames = getExportNames(schema.tables, names.table);
+
+			write(indent + (declareVariables ? 'const ' : '') + target + ' = {};', options.eol);
+			schema.tables.forEach(function(table, i) {
+				writeTablePart(table, tableNames[i], target + '.' + tableNames[i], '');
+				references.push({ table: table, reference: target + '.' + tableNames[i] });
+			});
+		});
+	} else {
+		getExportNames(model.tables, names.table).forEach(function(name, i) {
+			var variable = getVariableName(name);
+
+			if (declareVariables) {
+				writeTablePart(model.tables[i], name, variable, variable === name ? 'export const ' : 'const ');
+			} else {
+				writeTablePart(model.tables[i], name, 'exports.' + name, '');
+			}
+			references.push({ table: model.tables[i], reference: declareVariables ? variable : 'exports.' + name });
+		});
+	}
+
+	if (options.validators) {
+		writeValidators();
+	}
+
+	if (options.enumConstants) {
+		writeEnums();
+	}
+
+	writePart('footer', model, {}, writeFooter);
+
+	if (options.append) {
+		write(options.append);
+	}
+
+	return output;
+}
+
+/**
+ * Generates TypeScript declarations matching the output of render()
+ *
+ * @param {Object} model
+ * @param {Object} [options] Same as for render()
+ * @return {String}
+ */
+function renderDeclarations(model, options) {
+	options = normalizeOptions(options);
+
+	var esm = options.moduleFormat === 'esm',
+		//CommonJS factories are declared as a function merged with a namespace holding the types
+		namespaced = options.modularize && !esm,
+		indent = namespaced ? options.indent : '',
+		schemas = groupBySchema(model),
+		lines = [],
+		names = naming.resolve(options),
+		tableTypes = {};
+
+	function tryCamelize(name) {
+		return !options.camelize ? name : camelize(name);
+	}
+
+	//"name: type;", or an object type holding the tables of a schema
+	function pushMember(prefix, member) {
+		if (!member.members) {
+			lines.push(prefix + member.name + ': ' + member.type + ';');
+			return;
+		}
+
+		lines.push(prefix + member.name + ': {');
+		member.members.forEach(function(table) {
+			lines.push(prefix + options.indent + table.name + ': ' + table.type + ';');
+		});
+		lines.push(prefix + '};');
+	}
+
+	if (!options.omitComments) {
+		lines.push('// autogenerated by ' + info.name + ' v' + info.version + ' on ' + new Date(), '');
+	}
+
+	lines.push('import { Table } from \'sql\';', '');
+
+	if (namespaced) {
+		lines.push('declare function define(sql: any): define.Tables;', '');
+		lines.push('declare namespace define {');
+	}
+
+	(schemas || [ { tables: model.tables } ]).forEach(function(schema) {
+		var tableNames = getExportNames(schema.tables, names.table);
+		schema.tables.forEach(function(table, i) {
+			tableTypes[(table.schema || '') + '.' + table.name] = { name: tableNames[i] };
+		});
+	});
+
+	if (options.validators) {
+		lines.push(indent + (namespaced ? '' : 'export ') + 'interface ValidationError {');
+		lines.push(indent + options.indent + 'column: string;');
+		lines.push(indent + options.indent + 'rule: \'required\' | \'nullable\' | \'type\' | \'maxLength\' | \'enum\';');
+		lines.push(indent + options.indent + 'message: string;');
+		lines.push(indent + '}', '');
+	}
+
+	model.tables.forEach(function(table) {
+		//row types of multiple schemas are prefixed with the schema, e.g. BillingInvoiceRow
+		var rowType = pascalize((table.schema ? table.schema + '_' : '') + table.name) + 'Row',
+			tableType = 'Table<\'' + table.name + '\', ' + rowType + '>' +
+				(options.validators ? ' & { validate(row: Partial<' + rowType + '>): ValidationError[] }' : '');
+
+		var exported = tableTypes[(table.schema || '') + '.' + table.name];
+		exported.type = tableType;
+
+		if (!options.omitComments) {
+			lines.push.apply(lines, getDocComment(
+				indent,
+				table.description || 'Row of ' + (table.schema || model.schema || model.database) + '.' + table.name
+			));
+		}
+
+		lines.push(indent + (namespaced ? '' : 'export ') + 'interface ' + rowType + ' {');
+		table.columns.forEach(function(column) {
+			//the values of a set are combined into a single string
+			var type = column.enumValues && column.enumValues.length && column.type !== 'set' ?
+				column.enumValues.map(quote).join(' | ') :
+				getTypeScriptType(column.type, model.dialect);
+			if (column.description && !options.omitComments) {
+				lines.push.apply(lines, getDocComment(indent + options.indent, column.description, true));
+			}
+			lines.push(
+				indent + options.indent + (getPropertyName(column, names) || column.name) + ': ' +
+				type + (column.nullable && type !== 'any' ? ' | null' : '') + ';'
+			);
+		});
+		lines.push(indent + '}', '');
+
+		if (!options.modularize && !schemas) {
+			var variable = getVariableName(exported.name);
+			if (variable === exported.name) {
+				lines.push('export declare const ' + variable + ': ' + tableType + ';', '');
+			} else {
+				lines.push('declare const ' + variable + ': ' + tableType + ';');
+				if (!esm || exported.name !== 'default') {
+					lines.push('export { ' + variable + ' as ' + exported.name + ' };');
+				}
+				lines.push('');
+			}
+		}
+	});
+
+	var members = schemas ?
+		schemas.map(function(schema) {
+			return {
+				name: tryCamelize(schema.name),
+				members: schema.tables.map(function(table) {
+					return tableTypes[table.schema + '.' + table.name];
+				})
+			};
+		}) :
+		model.tables.map(function(table) {
+			return tableTypes['.' + table.name];
+		});
+
+	if (schemas && !options.modularize) {
+		members.forEach(function(schema) {
+			var variable = getVariableName(schema.name);
+			pushMember('', { name: (variable === schema.name ? 'export ' : '') + 'declare const ' + variable, members: schema.members });
+			if (variable !== schema.name && (!esm || schema.name !== 'default')) {
+				lines.push('export { ' + variable + ' as ' + schema.name + ' };');
+			}
+			lines.push('');
+		});
+	}
+
+	var enums = options.enumConstants ? getEnums(model).map(function(enumType) {
+		return {
+			name: enumType.name,
+			type: '{ ' + getEnumMembers(enumType.values, ': ').map(function(member) {
+				return 'readonly ' + member + ';';
+			}).join(' ') + ' }'
+		};
+	}) : [];
+
+	if (!options.modularize) {
+		enums.forEach(function(enumType) {
+			lines.push('export declare const ' + enumType.name + ': ' + enumType.type + ';', '');
+		});
+	}
+
+	if (options.modularize || esm) {
+		lines.push(indent + (namespaced ? '' : 'export ') + 'interface Tables {');
+		members.concat(options.modularize ? enums : []).forEach(function(member) {
+			pushMember(indent + options.indent, member);
+		});
+		lines.push(indent + '}');
+	}
+
+	if (namespaced) {
+		lines.push('}', '', 'export = define;', '');
+	} else if (esm && options.modularize) {
+		lines.push('', 'export default function define(sql: any): Tables;', '');
+	} else if (esm) {
+		lines.push('', 'declare const tables: Tables;', 'export default tables;', '');
+	}
+
+	return lines.join(options.eol);
+}
+
+/**
+ * Generates a module re-exporting the tables of a model, each of which was rendered into its own module
+ *
+ * @param {Object} model
+ * @param {Object} [options] Same as for render()
+ * @return {String}
+ */
+function renderIndex(model, options) {
+	options = normalizeOptions(options);
+
+	var esm = options.moduleFormat === 'esm',
+		output = '',
+		//every table lives in a module named like its export
+		names = getExportNames(model.tables, naming.resolve(options).table),
+		modules = names.map(function(name) {
+			return './' + name + (esm ? '.js' : '');
+		}),
+		//ES modules import tables named like reserved words under an alias, e.g. "import { public as _public }"
+		variables = names.map(getVariableName),
+		//enum constants are re-exported from the module of the first table using them
+		enums = [],
+		enumNames = {};
+
+	if (options.enumConstants) {
+		model.tables.forEach(function(table, i) {
+			getEnums({ tables: [ table ] }).forEach(function(enumType) {
+				if (!enumNames.hasOwnProperty(enumType.name)) {
+					enumNames[enumType.name] = true;
+					enums.push({ name: enumType.name, table: i });
+				}
+			});
+		});
+	}
+
+	//the names imported from a table module, e.g. [ 'foo', 'MoodEnum' ] or [ 'public as _public' ]
+	function getImports(i) {
+		return [ names[i] === variables[i] ? names[i] : names[i] + ' as ' + variables[i] ].concat(enums.filter(function(enumType) {
+			return enumType.table === i;
+		}).map(function(enumType) {
+			return enumType.name;
+		}));
+	}
+
+	//how the index refers to the table imported from module i, a table named "default" is only part of the default
+	//export of its module (which "default as _default" imports)
+	function getReference(i) {
+		return names[i] === 'default' ? variables[i] + '.default' : variables[i];
+	}
+
+	//non-empty arguments on separate lines, followed by a line break
+	function write() {
+		output += [].slice.call(arguments)
+			.filter(function(line) { return !!line; })
+			.join(options.eol) + options.eol;
+	}
+
+	if (options.prepend) {
+		write(options.prepend + options.eol);
+	}
+
+	if (!options.omitComments) {
+		write('// autogenerated by ' + info.name + ' v' + info.version + ' on ' + new Date() + options.eol);
+	}
+
+	if (esm) {
+		write.apply(null, names.map(function(name, i) {
+			return 'import ' + (options.modularize ? variables[i] : '{ ' + getImports(i).join(', ') + ' }') +
+				' from \'' + modules[i] + '\';';
+		}));
+		output += options.eol;
+	}
+
+	if (options.modularize) {
+		write(
+			esm ? 'export default function(sql) {' : 'module.exports = function(sql) {',
+			options.indent + (esm ? 'const' : 'var') + ' exports = {};'
+		);
+		write.apply(null, names.map(function(name, i) {
+			return options.indent + 'exports.' + name + ' = ' +
+				(esm ? variables[i] : 'require(\'' + modules[i] + '\')') + '(sql).' + name + ';';
+		}).concat(enums.map(function(enumType) {
+			return options.indent + 'exports.' + enumType.name + ' = ' +
+				(esm ? variables[enumType.table] : 'require(\'' + modules[enumType.table] + '\')') + '(sql).' +
+				enumType.name + ';';
+		})));
+		write(
+			options.indent + 'return exports;',
+			esm ? '}' : '};'
+		);
+	} else if (esm) {
+		//like render(), "default" is only part of the default export
+		write('export { ' + names.map(function(name, i) {
+			return name === variables[i] ? name : (name === 'default' ? null : variables[i] + ' as ' + name);
+		}).filter(Boolean).concat(enums.map(function(enumType) {
+			return enumType.name;
+		})).join(', ') + ' };');
+		output += options.eol;
+		write(
+			'export default {',
+			names.map(function(name, i) {
+				return options.indent + (name === getReference(i) ? name : name + ': ' + getReference(i));
+			}).join(',' + options.eol),
+			'};'
+		);
+	} else {
+		write.apply(null, names.map(function(name, i) {
+			return 'exports.' + name + ' = require(\'' + modules[i] + '\').' + name + ';';
+		}).concat(enums.map(function(enumType) {
+			return 'exports.' + enumType.name + ' = require(\'' + modules[enumType.table] + '\').' + enumType.name + ';';
+		})));
+	}
+
+	if (options.append) {
+		write(options.eol + options.append);
+	}
+
+	return output;
+}
+
+module.exports = render;
+module.exports.index = renderIndex;
+module.exports.declarations = renderDeclarations;
+module.exports.normalizeOptions = normalizeOptions;
+module.exports.camelize = camelize;
+module.exports.getExportNames = getExportNames;
+module.exports.getPropertyName = getPropertyName;
+module.exports.getValidationType = getValidationType;
+module.exports.isRequired = isRequired;
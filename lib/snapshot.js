@@ -0,0 +1,42 @@
+var fs = require('fs');
+
+/**
+ * Reads a model saved with save()
+ *
+ * @param {String} file
+ * @param {Function} callback Receives an error or the model
+ */
+exports.load = function(file, callback) {
+	fs.readFile(file, 'utf8', function(err, json) {
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		var model;
+		try {
+			model = JSON.parse(json);
+		} catch (e) {
+			callback(new Error('Invalid snapshot "' + file + '": ' + e.message));
+			return;
+		}
+
+		if (!model || !Array.isArray(model.tables)) {
+			callback(new Error('Invalid snapshot "' + file + '": tables are missing'));
+			return;
+		}
+
+		callback(null, model);
+	});
+};
+
+/**
+ * Writes a model created by introspect() to a JSON file
+ *
+ * @param {String} file
+ * @param {Object} model
+ * @param {Function} callback
+ */
+exports.save = function(file, model, callback) {
+	fs.writeFile(file, JSON.stringify(model, null, 2) + '\n', 'utf8', callback);
+};
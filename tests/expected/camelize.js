@@ -8,8 +8,8 @@ var sql = require('sql');
 exports.bar = sql.define({
 	name: 'bar',
 	columns: [
-		{ name: 'id', property: 'id' },
-		{ name: 'foo_id', property: 'fooId' }
+		{ name: 'id', property: 'id', primaryKey: true },
+		{ name: 'foo_id', property: 'fooId', primaryKey: true, references: { table: 'foo', column: 'id' } }
 	]
 });
 
@@ -20,7 +20,7 @@ exports.bar = sql.define({
 exports.foo = sql.define({
 	name: 'foo',
 	columns: [
-		{ name: 'id', property: 'id' },
+		{ name: 'id', property: 'id', primaryKey: true },
 		{ name: 'field_1', property: 'field1' },
 		{ name: 'foo_bar_baz', property: 'fooBarBaz' }
 	]
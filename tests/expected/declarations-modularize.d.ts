@@ -0,0 +1,30 @@
+
+import { Table } from 'sql';
+
+declare function define(sql: any): define.Tables;
+
+declare namespace define {
+	/**
+	 * Row of node_sql_generate.bar
+	 */
+	interface BarRow {
+		id: number;
+		foo_id: number;
+	}
+
+	/**
+	 * Row of node_sql_generate.foo
+	 */
+	interface FooRow {
+		id: number;
+		field_1: string | null;
+		foo_bar_baz: string | null;
+	}
+
+	interface Tables {
+		bar: Table<'bar', BarRow>;
+		foo: Table<'foo', FooRow>;
+	}
+}
+
+export = define;
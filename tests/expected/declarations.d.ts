@@ -0,0 +1,23 @@
+
+import { Table } from 'sql';
+
+/**
+ * Row of node_sql_generate.bar
+ */
+export interface BarRow {
+	id: number;
+	fooId: number;
+}
+
+export declare const bar: Table<'bar', BarRow>;
+
+/**
+ * Row of node_sql_generate.foo
+ */
+export interface FooRow {
+	id: number;
+	field1: string | null;
+	fooBarBaz: string | null;
+}
+
+export declare const foo: Table<'foo', FooRow>;
@@ -0,0 +1,27 @@
+
+var sql = require('sql');
+
+
+/**
+ * SQL definition for public.person
+ */
+exports.person = sql.define({
+	name: 'person',
+	columns: [
+		{ name: 'id', primaryKey: true },
+		{ name: 'current_mood' },
+		{ name: 'previous_mood' }
+	]
+});
+
+
+/**
+ * Values of enum mood
+ */
+exports.MoodEnum = Object.freeze({
+	happy: 'happy',
+	sad: 'sad',
+	'so-so': 'so-so'
+});
+
+
@@ -0,0 +1,32 @@
+
+export default function(sql) {
+	const exports = {};
+
+
+	/**
+	 * SQL definition for node_sql_generate.bar
+	 */
+	exports.bar = sql.define({
+		name: 'bar',
+		columns: [
+			{ name: 'id', primaryKey: true },
+			{ name: 'foo_id', primaryKey: true, references: { table: 'foo', column: 'id' } }
+		]
+	});
+
+
+	/**
+	 * SQL definition for node_sql_generate.foo
+	 */
+	exports.foo = sql.define({
+		name: 'foo',
+		columns: [
+			{ name: 'id', primaryKey: true },
+			{ name: 'field_1' },
+			{ name: 'foo_bar_baz' }
+		]
+	});
+
+
+	return exports;
+}
@@ -0,0 +1,33 @@
+
+import sql from 'sql';
+
+
+/**
+ * SQL definition for node_sql_generate.bar
+ */
+export const bar = sql.define({
+	name: 'bar',
+	columns: [
+		{ name: 'id', primaryKey: true },
+		{ name: 'foo_id', primaryKey: true, references: { table: 'foo', column: 'id' } }
+	]
+});
+
+
+/**
+ * SQL definition for node_sql_generate.foo
+ */
+export const foo = sql.define({
+	name: 'foo',
+	columns: [
+		{ name: 'id', primaryKey: true },
+		{ name: 'field_1' },
+		{ name: 'foo_bar_baz' }
+	]
+});
+
+
+export default {
+	bar,
+	foo
+};
@@ -8,8 +8,8 @@ var sql = require('sql');
 exports.bar = sql.define({
 	name: 'bar',
 	columns: [
-		{ name: 'id', type: 'int', nullable: false, charLength: null },
-		{ name: 'foo_id', type: 'int', nullable: false, charLength: null }
+		{ name: 'id', primaryKey: true, type: 'int', nullable: false, charLength: null, defaultValue: null, precision: null, scale: null, datetimePrecision: null, autoIncrement: false, generated: false },
+		{ name: 'foo_id', primaryKey: true, references: { table: 'foo', column: 'id' }, type: 'int', nullable: false, charLength: null, defaultValue: null, precision: null, scale: null, datetimePrecision: null, autoIncrement: false, generated: false }
 	]
 });
 
@@ -20,9 +20,9 @@ exports.bar = sql.define({
 exports.foo = sql.define({
 	name: 'foo',
 	columns: [
-		{ name: 'id', type: 'int', nullable: false, charLength: null },
-		{ name: 'field_1', type: 'varchar', nullable: true, charLength: 30 },
-		{ name: 'foo_bar_baz', type: 'char', nullable: true, charLength: 255 }
+		{ name: 'id', primaryKey: true, type: 'int', nullable: false, charLength: null, defaultValue: null, precision: null, scale: null, datetimePrecision: null, autoIncrement: false, generated: false },
+		{ name: 'field_1', type: 'varchar', nullable: true, charLength: 30, defaultValue: null, precision: null, scale: null, datetimePrecision: null, autoIncrement: false, generated: false },
+		{ name: 'foo_bar_baz', type: 'char', nullable: true, charLength: 255, defaultValue: null, precision: null, scale: null, datetimePrecision: null, autoIncrement: false, generated: false }
 	]
 });
 
@@ -9,8 +9,8 @@ exports.bar = sql.define({
 	name: 'bar',
 	schema: 'node_sql_generate',
 	columns: [
-		{ name: 'id' },
-		{ name: 'foo_id' }
+		{ name: 'id', primaryKey: true },
+		{ name: 'foo_id', primaryKey: true, references: { table: 'foo', column: 'id' } }
 	]
 });
 
@@ -22,7 +22,7 @@ exports.foo = sql.define({
 	name: 'foo',
 	schema: 'node_sql_generate',
 	columns: [
-		{ name: 'id' },
+		{ name: 'id', primaryKey: true },
 		{ name: 'field_1' },
 		{ name: 'foo_bar_baz' }
 	]
@@ -9,8 +9,8 @@ module.exports = function(sql) {
 	exports.bar = sql.define({
 		name: 'bar',
 		columns: [
-			{ name: 'id' },
-			{ name: 'foo_id' }
+			{ name: 'id', primaryKey: true },
+			{ name: 'foo_id', primaryKey: true, references: { table: 'foo', column: 'id' } }
 		]
 	});
 
@@ -21,7 +21,7 @@ module.exports = function(sql) {
 	exports.foo = sql.define({
 		name: 'foo',
 		columns: [
-			{ name: 'id' },
+			{ name: 'id', primaryKey: true },
 			{ name: 'field_1' },
 			{ name: 'foo_bar_baz' }
 		]
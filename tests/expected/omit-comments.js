@@ -4,8 +4,8 @@ var sql = require('sql');
 exports.bar = sql.define({
 	name: 'bar',
 	columns: [
-		{ name: 'id' },
-		{ name: 'foo_id' }
+		{ name: 'id', primaryKey: true },
+		{ name: 'foo_id', primaryKey: true, references: { table: 'foo', column: 'id' } }
 	]
 });
 
@@ -13,7 +13,7 @@ exports.bar = sql.define({
 exports.foo = sql.define({
 	name: 'foo',
 	columns: [
-		{ name: 'id' },
+		{ name: 'id', primaryKey: true },
 		{ name: 'field_1' },
 		{ name: 'foo_bar_baz' }
 	]
@@ -0,0 +1,3 @@
+
+exports.bar = require('./bar').bar;
+exports.foo = require('./foo').foo;
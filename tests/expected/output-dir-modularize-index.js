@@ -0,0 +1,7 @@
+
+module.exports = function(sql) {
+	var exports = {};
+	exports.bar = require('./bar')(sql).bar;
+	exports.foo = require('./foo')(sql).foo;
+	return exports;
+};
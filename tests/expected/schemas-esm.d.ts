@@ -0,0 +1,50 @@
+
+import { Table } from 'sql';
+
+/**
+ * Row of billing.customer
+ */
+export interface BillingCustomerRow {
+	id: number;
+	customer_id: number | null;
+}
+
+/**
+ * Row of billing.invoice
+ */
+export interface BillingInvoiceRow {
+	id: number;
+	customer_id: number;
+	total: string | null;
+}
+
+/**
+ * Row of public.customer
+ */
+export interface PublicCustomerRow {
+	id: number;
+	name: string;
+}
+
+declare const _public: {
+	customer: Table<'customer', PublicCustomerRow>;
+};
+export { _public as public };
+
+export declare const billing: {
+	customer: Table<'customer', BillingCustomerRow>;
+	invoice: Table<'invoice', BillingInvoiceRow>;
+};
+
+export interface Tables {
+	public: {
+		customer: Table<'customer', PublicCustomerRow>;
+	};
+	billing: {
+		customer: Table<'customer', BillingCustomerRow>;
+		invoice: Table<'invoice', BillingInvoiceRow>;
+	};
+}
+
+declare const tables: Tables;
+export default tables;
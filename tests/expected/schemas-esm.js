@@ -0,0 +1,57 @@
+
+import sql from 'sql';
+
+
+const _public = {};
+
+
+/**
+ * SQL definition for public.customer
+ */
+_public.customer = sql.define({
+	name: 'customer',
+	schema: 'public',
+	columns: [
+		{ name: 'id', primaryKey: true },
+		{ name: 'name' }
+	]
+});
+
+
+const billing = {};
+
+
+/**
+ * SQL definition for billing.customer
+ */
+billing.customer = sql.define({
+	name: 'customer',
+	schema: 'billing',
+	columns: [
+		{ name: 'id', primaryKey: true },
+		{ name: 'customer_id', references: { schema: 'public', table: 'customer', column: 'id' } }
+	]
+});
+
+
+/**
+ * SQL definition for billing.invoice
+ */
+billing.invoice = sql.define({
+	name: 'invoice',
+	schema: 'billing',
+	columns: [
+		{ name: 'id', primaryKey: true },
+		{ name: 'customer_id', references: { schema: 'billing', table: 'customer', column: 'id' } },
+		{ name: 'total' }
+	]
+});
+
+
+export { _public as public, billing };
+
+
+export default {
+	public: _public,
+	billing
+};
@@ -0,0 +1,50 @@
+
+var sql = require('sql');
+
+
+exports.public = {};
+
+
+/**
+ * SQL definition for public.customer
+ */
+exports.public.customer = sql.define({
+	name: 'customer',
+	schema: 'public',
+	columns: [
+		{ name: 'id', primaryKey: true },
+		{ name: 'name' }
+	]
+});
+
+
+exports.billing = {};
+
+
+/**
+ * SQL definition for billing.customer
+ */
+exports.billing.customer = sql.define({
+	name: 'customer',
+	schema: 'billing',
+	columns: [
+		{ name: 'id', primaryKey: true },
+		{ name: 'customer_id', references: { schema: 'public', table: 'customer', column: 'id' } }
+	]
+});
+
+
+/**
+ * SQL definition for billing.invoice
+ */
+exports.billing.invoice = sql.define({
+	name: 'invoice',
+	schema: 'billing',
+	columns: [
+		{ name: 'id', primaryKey: true },
+		{ name: 'customer_id', references: { schema: 'billing', table: 'customer', column: 'id' } },
+		{ name: 'total' }
+	]
+});
+
+
@@ -0,0 +1,34 @@
+
+var sql = require('sql');
+
+
+/**
+ * SQL definition for node_sql_generate.bar
+ */
+exports.bar = sql.define({
+	name: 'bar',
+	columns: [
+		{ name: 'id', primaryKey: true },
+		{ name: 'foo_id', primaryKey: true, references: { table: 'foo', column: 'id' } }
+	]
+});
+
+
+exports.bar.columnNames = ["id","foo_id"];
+
+/**
+ * SQL definition for node_sql_generate.foo
+ */
+exports.foo = sql.define({
+	name: 'foo',
+	columns: [
+		{ name: 'id', primaryKey: true },
+		{ name: 'field_1' },
+		{ name: 'foo_bar_baz' }
+	]
+});
+
+
+exports.foo.columnNames = ["id","field_1","foo_bar_baz"];
+
+exports.tableNames = ["bar","foo"];
@@ -0,0 +1,84 @@
+
+var sql = require('sql');
+
+
+/**
+ * SQL definition for shop.orders
+ */
+exports.orders = sql.define({
+	name: 'orders',
+	columns: [
+		{ name: 'id', property: 'id', primaryKey: true },
+		{ name: 'customer_name', property: 'customerName' },
+		{ name: 'total', property: 'total' },
+		{ name: 'paid', property: 'paid' },
+		{ name: 'status', property: 'status' },
+		{ name: 'flags', property: 'flags' },
+		{ name: 'created', property: 'created' }
+	]
+});
+
+
+/**
+ * Checks the values of a row against the columns of its table
+ */
+function validateRow(row, columns) {
+	var errors = [];
+
+	columns.forEach(function(column) {
+		var value = row[column.property],
+			numeric = typeof value === 'number' ? isFinite(value) : typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value);
+
+		function fail(rule, message) {
+			errors.push({ column: column.property, rule: rule, message: column.property + ' ' + message });
+		}
+
+		if (value === undefined || value === null) {
+			if (value === null && column.nullable === false) {
+				fail('nullable', 'must not be null');
+			} else if (value === undefined && column.required) {
+				fail('required', 'is required');
+			}
+			return;
+		}
+
+		if (column.type === 'integer' && !(numeric && Number(value) % 1 === 0)) {
+			fail('type', 'must be an integer');
+		} else if (column.type === 'number' && !numeric) {
+			fail('type', 'must be a number');
+		} else if ((column.type === 'boolean' || column.type === 'string') && typeof value !== column.type) {
+			fail('type', 'must be a ' + column.type);
+		}
+
+		if (column.maxLength && typeof value === 'string' && value.length > column.maxLength) {
+			fail('maxLength', 'must be at most ' + column.maxLength + ' characters long');
+		}
+
+		//the values of a set are comma-delimited
+		if (column.values && typeof value === 'string' && (column.set ? value.split(',').filter(Boolean) : [ value ]).some(function(item) {
+			return column.values.indexOf(item) === -1;
+		})) {
+			fail('enum', 'must be one of ' + column.values.join(', '));
+		}
+	});
+
+	return errors;
+}
+
+
+/**
+ * Validates a row of shop.orders
+ */
+exports.orders.validate = function(row) {
+	return validateRow(row, [
+		{ property: 'id', type: 'integer', nullable: false },
+		{ property: 'customerName', type: 'string', required: true, nullable: false, maxLength: 10 },
+		{ property: 'total', type: 'number', nullable: false },
+		{ property: 'paid', type: 'integer' },
+		{ property: 'status', type: 'string', values: [ 'new', 'shipped' ] },
+		{ property: 'flags', type: 'string', values: [ 'a', 'b' ], set: true },
+		{ property: 'created', required: true, nullable: false }
+	]);
+};
+
+
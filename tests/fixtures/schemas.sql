@@ -0,0 +1,23 @@
+create schema billing;
+create schema audit;
+
+create table public.customer (
+	id int not null primary key,
+	name varchar(100) not null
+);
+
+create table billing.customer (
+	id int not null primary key,
+	customer_id int references public.customer (id)
+);
+
+create table billing.invoice (
+	id int not null primary key,
+	customer_id int not null references billing.customer (id),
+	total numeric(10, 2)
+);
+
+create table audit.log_entry (
+	id int not null,
+	message text
+);
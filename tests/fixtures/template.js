@@ -0,0 +1,16 @@
+//lists the columns of each table next to its definition, and all tables at the end
+module.exports.table = function(table, context) {
+	var columns = table.columns.map(function(column) {
+		return column.name;
+	});
+
+	return context.render() + context.target + '.columnNames = ' + JSON.stringify(columns) + ';\n\n';
+};
+
+module.exports.footer = function(model, context) {
+	var tables = model.tables.map(function(table) {
+		return table.name;
+	});
+
+	return context.render() + 'exports.tableNames = ' + JSON.stringify(tables) + ';\n';
+};
@@ -1,12 +1,14 @@
 create schema node_sql_generate;
 
 create table node_sql_generate.foo (
-	id int not null,
+	id int not null primary key,
 	field_1 varchar(30),
 	foo_bar_baz char(255)
 );
 
 create table node_sql_generate.bar (
 	id int not null,
-	foo_id int not null
+	foo_id int not null,
+	primary key (id, foo_id),
+	foreign key (foo_id) references node_sql_generate.foo (id)
 );